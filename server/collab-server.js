@@ -0,0 +1,216 @@
+// Sync server for collaborative script editing.
+//
+// Each room holds one script. Clients send their edits as operations made at
+// a numbered revision of the text (see src/lib/textOperation.js); the server
+// transforms each one past any edits that got in first, applies it and relays
+// it to the rest of the room, so every copy ends up with the same text. Carets
+// are relayed as presence. The first client to join a room starts it with its
+// own script.
+//
+// Rooms are saved to a JSON file so they survive a restart.
+//
+// Everyone needs the pairing token, printed at start-up, added to the address
+// as ?token=<token> (GET /rooms also takes an 'Authorization: Bearer <token>'
+// header). The server only listens on this machine unless started with --lan.
+//
+// Usage: node server/collab-server.js [port] [data file] [--lan]
+//   COLLAB_TOKEN sets the token; otherwise one is made and kept in collab-token.txt
+
+import { createServer } from 'node:http'
+import { existsSync, readFileSync } from 'node:fs'
+import { writeFile } from 'node:fs/promises'
+import { WebSocketServer, WebSocket } from 'ws'
+import { DEFAULT_COLLAB_PORT, PRESENCE_COLORS, parseClientMessage } from '../src/lib/collabProtocol.js'
+import { applyOperation, transformOperations, transformIndex } from '../src/lib/textOperation.js'
+import { UNAUTHORIZED_CLOSE, loadToken, isValidToken, getRequestToken } from './pairing.js'
+
+const args = process.argv.slice(2)
+const lan = args.includes('--lan')
+const [portArg, dataArg] = args.filter(arg => !arg.startsWith('--'))
+const port = Number(portArg || process.env.COLLAB_PORT || DEFAULT_COLLAB_PORT)
+const dataFile = dataArg || process.env.COLLAB_DATA || 'collab-rooms.json'
+const host = lan ? '0.0.0.0' : '127.0.0.1'
+const token = loadToken('collab-token.txt', process.env.COLLAB_TOKEN)
+
+// Edits older than this many revisions can't be transformed any more; their
+// clients are asked to join again
+const MAX_HISTORY = 1000
+const SAVE_DELAY_MS = 1000
+
+// room name -> { text, revision, history, clients }
+const rooms = new Map()
+let nextClientId = 1
+let saveTimer = null
+
+const loadRooms = () => {
+  if (!existsSync(dataFile)) return
+  try {
+    const saved = JSON.parse(readFileSync(dataFile, 'utf8'))
+    Object.entries(saved).forEach(([name, { text, revision }]) => {
+      rooms.set(name, { text, revision, history: [], clients: new Map() })
+    })
+  } catch (err) {
+    console.error(`Could not read ${dataFile}:`, err.message)
+  }
+}
+
+const saveRooms = () => {
+  clearTimeout(saveTimer)
+  saveTimer = setTimeout(() => {
+    const saved = Object.fromEntries([...rooms].map(([name, { text, revision }]) => [name, { text, revision }]))
+    writeFile(dataFile, JSON.stringify(saved)).catch(err => console.error(`Could not save ${dataFile}:`, err.message))
+  }, SAVE_DELAY_MS)
+}
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message))
+  }
+}
+
+// Send to everyone in a room but one client
+const broadcast = (room, message, exceptId) => {
+  room.clients.forEach((client, clientId) => {
+    if (clientId !== exceptId) send(client.socket, message)
+  })
+}
+
+const toPeer = (clientId, { name, color, selection, running }) => ({ clientId, name, color, selection, running })
+
+const join = (socket, { room: roomName, name, text }) => {
+  let room = rooms.get(roomName)
+  if (!room) {
+    room = { text, revision: 0, history: [], clients: new Map() }
+    rooms.set(roomName, room)
+    saveRooms()
+  }
+
+  const clientId = nextClientId++
+  const usedColors = [...room.clients.values()].map(client => client.color)
+  const color = PRESENCE_COLORS.find(c => !usedColors.includes(c)) || PRESENCE_COLORS[clientId % PRESENCE_COLORS.length]
+  const client = { socket, name, color, selection: null, running: false }
+
+  send(socket, {
+    type: 'joined',
+    clientId,
+    color,
+    revision: room.revision,
+    text: room.text,
+    peers: [...room.clients].map(([id, other]) => toPeer(id, other))
+  })
+  room.clients.set(clientId, client)
+  broadcast(room, { type: 'presence', peer: toPeer(clientId, client) }, clientId)
+  return { room, clientId }
+}
+
+// Bring an edit made at an older revision up to date, apply it and pass it on
+const applyEdit = (room, clientId, { revision, operation }) => {
+  const firstKept = room.revision - room.history.length
+  if (revision < firstKept || revision > room.revision) {
+    throw new Error(`Revision ${revision} is out of date (the room is at ${room.revision})`)
+  }
+
+  let transformed = operation
+  room.history.slice(revision - firstKept).forEach(applied => {
+    [transformed] = transformOperations(transformed, applied)
+  })
+  room.text = applyOperation(room.text, transformed)
+  room.revision++
+  room.history.push(transformed)
+  if (room.history.length > MAX_HISTORY) room.history.shift()
+
+  // Keep everyone's caret on the same text
+  room.clients.forEach(client => {
+    if (!client.selection) return
+    client.selection = {
+      anchor: transformIndex(client.selection.anchor, transformed),
+      head: transformIndex(client.selection.head, transformed)
+    }
+  })
+
+  send(room.clients.get(clientId).socket, { type: 'ack', revision: room.revision })
+  broadcast(room, { type: 'operation', revision: room.revision, operation: transformed, clientId }, clientId)
+  saveRooms()
+}
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`)
+  res.setHeader('Content-Type', 'application/json')
+
+  if (!isValidToken(getRequestToken(req, url), token)) {
+    res.statusCode = 401
+    res.end(JSON.stringify({ error: 'Missing or wrong pairing token' }))
+    return
+  }
+
+  if (url.pathname !== '/rooms') {
+    res.statusCode = 404
+    res.end(JSON.stringify({ error: 'Not found' }))
+    return
+  }
+
+  const summary = [...rooms].map(([name, room]) => ({
+    room: name,
+    revision: room.revision,
+    characters: room.text.length,
+    people: [...room.clients.values()].map(client => client.name)
+  }))
+  res.end(JSON.stringify({ rooms: summary }))
+})
+
+const wss = new WebSocketServer({ server })
+
+wss.on('connection', (socket, req) => {
+  if (!isValidToken(new URL(req.url, 'http://localhost').searchParams.get('token'), token)) {
+    socket.close(UNAUTHORIZED_CLOSE, 'Missing or wrong pairing token')
+    return
+  }
+
+  let joined = null
+
+  socket.on('message', (data) => {
+    let message
+    try {
+      message = parseClientMessage(JSON.parse(data))
+      if (!joined && message.type !== 'join') throw new Error('Join a room first')
+      if (joined && message.type === 'join') throw new Error('Already in a room')
+    } catch (err) {
+      send(socket, { type: 'error', error: err.message })
+      return
+    }
+
+    if (message.type === 'join') {
+      joined = join(socket, message)
+      return
+    }
+
+    const { room, clientId } = joined
+    if (message.type === 'presence') {
+      const client = room.clients.get(clientId)
+      client.selection = message.selection
+      client.running = message.running
+      broadcast(room, { type: 'presence', peer: toPeer(clientId, client) }, clientId)
+      return
+    }
+
+    // An edit that can't be applied means the client's copy is out of step
+    try {
+      applyEdit(room, clientId, message)
+    } catch (err) {
+      send(socket, { type: 'error', error: err.message, resync: true })
+    }
+  })
+
+  socket.on('close', () => {
+    if (!joined) return
+    const { room, clientId } = joined
+    room.clients.delete(clientId)
+    broadcast(room, { type: 'leave', clientId })
+  })
+})
+
+loadRooms()
+server.listen(port, host, () => {
+  console.log(`Teleprompter collaboration server listening on ws://${lan ? host : 'localhost'}:${port}${lan ? ' (open to the local network)' : ''} (rooms saved to ${dataFile})`)
+  console.log(`Pairing token: ${token}`)
+})
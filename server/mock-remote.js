@@ -0,0 +1,60 @@
+// Mock remote controller for testing the bridge end to end.
+//
+// Usage:
+//   node server/mock-remote.js                  run a short demo sequence
+//   node server/mock-remote.js nudge 5          send a single command
+//   node server/mock-remote.js jump-section next
+//
+// REMOTE_TOKEN is the pairing token the bridge printed at start-up.
+// Prints every state event the app reports back.
+
+import { WebSocket } from 'ws'
+import { DEFAULT_REMOTE_PORT, REMOTE_COMMANDS } from '../src/lib/remoteProtocol.js'
+
+const url = new URL(process.env.REMOTE_URL || `ws://localhost:${DEFAULT_REMOTE_PORT}`)
+if (process.env.REMOTE_TOKEN) url.searchParams.set('token', process.env.REMOTE_TOKEN)
+
+// Build a command message from positional arguments, e.g. ['set-speed', '1.2']
+const toCommand = ([command, value]) => {
+  const [field] = Object.keys(Object.hasOwn(REMOTE_COMMANDS, command) ? REMOTE_COMMANDS[command] : {})
+  return field ? { command, [field]: value } : { command }
+}
+
+const demo = [
+  ['play'],
+  ['nudge', '5'],
+  ['set-speed', '1.25'],
+  ['jump-section', 'next'],
+  ['pause'],
+  ['resume']
+]
+
+const args = process.argv.slice(2)
+const sequence = args.length > 0 ? [args] : demo
+const socket = new WebSocket(url)
+
+socket.on('open', async () => {
+  console.log(`Connected to ${url.host}`)
+  for (const step of sequence) {
+    const command = toCommand(step)
+    console.log('->', command)
+    socket.send(JSON.stringify(command))
+    await new Promise(resolve => setTimeout(resolve, 4000))
+  }
+  socket.close()
+})
+
+socket.on('message', (data) => {
+  const message = JSON.parse(data)
+  if (message.type === 'state') {
+    const { phase, elapsed, currentWordIndex, section, speaker, playbackRate } = message.state
+    console.log(`<- ${phase} ${(elapsed / 1000).toFixed(1)}s word ${currentWordIndex} section ${section} ${speaker ?? ''} x${playbackRate}`)
+  } else {
+    console.log('<-', message)
+  }
+})
+
+socket.on('error', (err) => {
+  console.error(`Could not reach the bridge at ${url}: ${err.message}`)
+  process.exitCode = 1
+})
@@ -0,0 +1,35 @@
+// Pairing tokens for the local servers. Clients add ?token=<token> to the
+// address; HTTP requests can send an 'Authorization: Bearer <token>' header
+// instead.
+
+import { randomBytes, timingSafeEqual } from 'node:crypto'
+import { existsSync, readFileSync, writeFileSync } from 'node:fs'
+
+// Close code for WebSocket connections without the right token
+export const UNAUTHORIZED_CLOSE = 4001
+
+// The token set in the environment, or else the one kept in `file` (made on
+// the first start), so paired devices keep working after a restart
+export function loadToken(file, fromEnv) {
+  if (fromEnv) return fromEnv
+  if (existsSync(file)) {
+    const saved = readFileSync(file, 'utf8').trim()
+    if (saved) return saved
+  }
+  const token = randomBytes(12).toString('hex')
+  writeFileSync(file, `${token}\n`)
+  return token
+}
+
+export function isValidToken(value, token) {
+  if (typeof value !== 'string') return false
+  const given = Buffer.from(value)
+  const expected = Buffer.from(token)
+  return given.length === expected.length && timingSafeEqual(given, expected)
+}
+
+// The token from an Authorization header or the address
+export function getRequestToken(req, url) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')
+  return bearer ? bearer[1].trim() : url.searchParams.get('token')
+}
@@ -0,0 +1,146 @@
+// Local remote-control bridge for the teleprompter.
+//
+// The app connects with ?role=app; foot pedals, Stream Decks and clicker apps
+// connect as controllers (no role). Controller commands are relayed to the app
+// and the app's state events are relayed back to every controller.
+//
+// Commands can also be sent over HTTP for devices that can't speak WebSocket,
+// e.g. POST /command/nudge?seconds=-5
+//
+// Everyone needs the pairing token, printed at start-up: the app and
+// controllers add ?token=<token> to the address, HTTP requests can send it as
+// an 'Authorization: Bearer <token>' header instead. Without it any web page
+// open in the operator's browser could drive a live read. The bridge only
+// listens on this machine unless started with --lan.
+//
+// Usage: node server/remote-bridge.js [port] [--lan]
+//   REMOTE_TOKEN sets the token; otherwise one is made and kept in remote-token.txt
+
+import { createServer } from 'node:http'
+import { WebSocketServer, WebSocket } from 'ws'
+import { DEFAULT_REMOTE_PORT, parseCommand } from '../src/lib/remoteProtocol.js'
+import { UNAUTHORIZED_CLOSE, loadToken, isValidToken, getRequestToken } from './pairing.js'
+
+const args = process.argv.slice(2)
+const lan = args.includes('--lan')
+const port = Number(args.find(arg => !arg.startsWith('--')) || process.env.REMOTE_PORT || DEFAULT_REMOTE_PORT)
+const host = lan ? '0.0.0.0' : '127.0.0.1'
+
+const token = loadToken('remote-token.txt', process.env.REMOTE_TOKEN)
+
+const apps = new Set()
+const controllers = new Set()
+let lastState = null
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message))
+  }
+}
+
+const broadcast = (sockets, message) => {
+  sockets.forEach(socket => send(socket, message))
+}
+
+// Validate a command and hand it to the connected app(s)
+const dispatchCommand = (message) => {
+  const command = parseCommand(message)
+  if (apps.size === 0) {
+    throw new Error('No teleprompter app is connected')
+  }
+  broadcast(apps, command)
+  return command
+}
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`)
+  const match = url.pathname.match(/^\/command\/([\w-]+)$/)
+
+  res.setHeader('Content-Type', 'application/json')
+
+  if (!isValidToken(getRequestToken(req, url), token)) {
+    res.statusCode = 401
+    res.end(JSON.stringify({ error: 'Missing or wrong pairing token' }))
+    return
+  }
+
+  if (url.pathname === '/state') {
+    res.end(JSON.stringify({ state: lastState, apps: apps.size, controllers: controllers.size }))
+    return
+  }
+
+  if (!match) {
+    res.statusCode = 404
+    res.end(JSON.stringify({ error: 'Not found' }))
+    return
+  }
+
+  // Commands change playback, so they're never sent as a GET
+  if (req.method !== 'POST') {
+    res.statusCode = 405
+    res.setHeader('Allow', 'POST')
+    res.end(JSON.stringify({ error: 'Send commands with POST' }))
+    return
+  }
+
+  url.searchParams.delete('token')
+  try {
+    const command = dispatchCommand({ command: match[1], ...Object.fromEntries(url.searchParams) })
+    res.end(JSON.stringify({ ok: true, command }))
+  } catch (err) {
+    res.statusCode = 400
+    res.end(JSON.stringify({ error: err.message }))
+  }
+})
+
+const wss = new WebSocketServer({ server })
+
+wss.on('connection', (socket, req) => {
+  const params = new URL(req.url, 'http://localhost').searchParams
+  if (!isValidToken(params.get('token'), token)) {
+    socket.close(UNAUTHORIZED_CLOSE, 'Missing or wrong pairing token')
+    return
+  }
+  const role = params.get('role')
+
+  if (role === 'app') {
+    apps.add(socket)
+    broadcast(controllers, { type: 'status', apps: apps.size })
+
+    socket.on('message', (data) => {
+      let message
+      try {
+        message = JSON.parse(data)
+      } catch {
+        return
+      }
+      if (message.type === 'state') {
+        lastState = message.state
+        broadcast(controllers, message)
+      }
+    })
+    socket.on('close', () => {
+      apps.delete(socket)
+      broadcast(controllers, { type: 'status', apps: apps.size })
+    })
+    return
+  }
+
+  controllers.add(socket)
+  send(socket, { type: 'status', apps: apps.size })
+  if (lastState) send(socket, { type: 'state', state: lastState })
+
+  socket.on('message', (data) => {
+    try {
+      dispatchCommand(JSON.parse(data))
+    } catch (err) {
+      send(socket, { type: 'error', error: err.message })
+    }
+  })
+  socket.on('close', () => controllers.delete(socket))
+})
+
+server.listen(port, host, () => {
+  console.log(`Teleprompter remote bridge listening on ws://${lan ? host : 'localhost'}:${port}${lan ? ' (open to the local network)' : ''}`)
+  console.log(`Pairing token: ${token}`)
+})
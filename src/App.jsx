@@ -1,212 +1,613 @@
-import { useState, useEffect, useRef, useMemo } from 'react'
-import { Play, Pause, RotateCcw, X } from 'lucide-react'
+import { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react'
+import { Play, Pause, RotateCcw, X, MonitorUp, Minus, Plus, Keyboard, FileUp, FileDown, Link, StepForward, Type } from 'lucide-react'
 import * as ScrollArea from '@radix-ui/react-scroll-area'
 import * as Popover from '@radix-ui/react-popover'
+import { createWordTracker, createRecognizer, recognizerSources } from './lib/voiceTracking'
+import { DEFAULT_DISPLAY_TRANSFORM, ROTATIONS, getDisplayTransformCSS, isQuarterTurn } from './lib/displayTransform'
+import { normalizeDisplayLayout, getDisplayLayoutStyle } from './lib/displayLayout'
+import { normalizeReadingGuide } from './lib/readingGuide'
+import { lintScript, DEFAULT_MAX_WPM } from './lib/scriptLint'
+import { TEXT_DIRECTIONS, getSectionDirections } from './lib/textDirection'
+import { normalizeRehearsal, getRehearsalRoles, getRehearsalWords, getNextOwnWords } from './lib/rehearsal'
+import { createSyncChannel, getTalentWindowUrl } from './lib/presenterSync'
+import { connectRemoteControl } from './lib/remoteControl'
+import { DEFAULT_REMOTE_PORT, MIN_SPEED, MAX_SPEED } from './lib/remoteProtocol'
+import { connectCollab } from './lib/collabClient'
+import { DEFAULT_COLLAB_PORT } from './lib/collabProtocol'
+import { transformIndex } from './lib/textOperation'
+import { DEFAULT_KEYMAP, mergeKeymap, getKeyCombo, findAction, formatKeyCombo, isTypingTarget } from './lib/keymap'
+import { DEFAULT_SCRIPT_FIELDS, loadLibrary, getScript, saveScript, deleteScript, createScriptEntry } from './lib/scriptLibrary'
+import { IMPORT_ACCEPT, importScriptFile } from './lib/importers'
+import { PROJECT_ACCEPT, isProjectFileName, readProjectFile, downloadProject, createShareLink, readShareHash } from './lib/projectFile'
+import { parseScript, mapWordIndex } from './lib/scriptParser'
+import { getRenderBand, findWordAtTime, findWordAtOffset, getScrollOffset } from './lib/scriptLayout'
+import { allocateWordTimings, getSectionStats } from './lib/sectionBudgets'
+import { TIMING_LANGUAGES, DEFAULT_COEFFICIENTS, resolveLanguage, getWordFeatures, getWordWeight } from './lib/timingModel'
+import { getSectionFeatures, calibrateProfiles, getProfileKey } from './lib/calibration'
+import { buildCaptions, formatSrt, formatWebVtt, buildCueSheet, toFileName, downloadTextFile } from './lib/exporters'
+import { createVersion, listVersions, addVersion, deleteVersions, getAutoVersions, hasSameFields } from './lib/scriptHistory'
+import { formatDuration } from './lib/formatTime'
+import { createTakeRecorder, getPlannedSections, listTakes, listAllTakes, saveTake, deleteTakes, takesToCsv } from './lib/takeLog'
+import ShortcutHelp from './components/ShortcutHelp'
+import ScriptLibrary from './components/ScriptLibrary'
+import TakeLog from './components/TakeLog'
+import SectionBudgets from './components/SectionBudgets'
+import TakeReport from './components/TakeReport'
+import ScriptView from './components/ScriptView'
+import DisplayLayoutControls from './components/DisplayLayoutControls'
+import ReadingGuide from './components/ReadingGuide'
+import ReadingGuideControls from './components/ReadingGuideControls'
+import Timeline from './components/Timeline'
+import CollabControls from './components/CollabControls'
+import CollabPresence from './components/CollabPresence'
+import RehearsalControls from './components/RehearsalControls'
+import ScriptLint from './components/ScriptLint'
+import ScriptEditor from './components/ScriptEditor'
+import ScriptHistory from './components/ScriptHistory'
+import VersionDiff from './components/VersionDiff'
 import './App.css'
 
-// Estimate syllables in a word
-function estimateSyllables(word) {
-  word = word.toLowerCase().replace(/[^a-z]/g, '')
-  if (word.length <= 3) return 1
+// Voice tracking falls back to the timed schedule after this long without a confident match
+const VOICE_FALLBACK_MS = 2500
 
-  const vowels = 'aeiouy'
-  let count = 0
-  let prevWasVowel = false
+// Step for the live speed controls
+const SPEED_STEP = 0.05
 
-  for (let i = 0; i < word.length; i++) {
-    const isVowel = vowels.includes(word[i])
-    if (isVowel && !prevWasVowel) {
-      count++
-    }
-    prevWasVowel = isVowel
-  }
+// Default speaker colors, assigned in order of appearance
+const colorPalette = [
+  '#646cff', // Blue
+  '#ff6b6b', // Red
+  '#4ecdc4', // Teal
+  '#ffe66d', // Yellow
+  '#a855f7', // Purple
+  '#f97316', // Orange
+  '#22c55e', // Green
+  '#ec4899', // Pink
+  '#06b6d4', // Cyan
+  '#eab308', // Amber
+]
 
-  if (word.endsWith('e') && count > 1) count--
-  if (word.endsWith('le') && word.length > 2 && !vowels.includes(word[word.length - 3])) count++
+// Edits are written to the script library after this much idle time
+const SAVE_DELAY_MS = 400
 
-  return Math.max(1, count)
+// Share links longer than this may be cut short by chat apps and mail clients
+const LONG_SHARE_LINK = 8000
+
+// Load from localStorage
+const loadFromStorage = (key, defaultValue) => {
+  try {
+    const saved = localStorage.getItem(key)
+    return saved !== null ? JSON.parse(saved) : defaultValue
+  } catch {
+    return defaultValue
+  }
 }
 
-function getWordWeight(word, isBeforeLineBreak = false) {
-  const cleanWord = word.replace(/[^a-zA-Z]/g, '')
-  const syllables = estimateSyllables(cleanWord)
-  const lengthFactor = Math.max(1, cleanWord.length / 4)
+// Select a line in the script editor's textarea and scroll the editor to it.
+// Long lines wrap, so where a line starts is measured in a hidden copy of the
+// textarea.
+const selectTextareaLine = (textarea, line) => {
+  const lines = textarea.value.split('\n')
+  const start = lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0)
+  textarea.focus()
+  textarea.setSelectionRange(start, start + (lines[line - 1]?.length ?? 0))
+
+  const style = getComputedStyle(textarea)
+  const mirror = document.createElement('div')
+  Object.assign(mirror.style, {
+    position: 'absolute',
+    visibility: 'hidden',
+    boxSizing: 'border-box',
+    width: `${textarea.clientWidth}px`,
+    padding: style.padding,
+    font: style.font,
+    lineHeight: style.lineHeight,
+    letterSpacing: style.letterSpacing,
+    whiteSpace: 'pre-wrap',
+    overflowWrap: 'break-word'
+  })
+  mirror.textContent = textarea.value.slice(0, start)
+  const marker = document.createElement('span')
+  marker.textContent = '\u200b'
+  mirror.appendChild(marker)
+  document.body.appendChild(mirror)
+  const viewport = textarea.closest('.scroll-area-viewport')
+  const top = textarea.getBoundingClientRect().top - viewport.getBoundingClientRect().top + viewport.scrollTop
+  viewport.scrollTop = top + marker.offsetTop - viewport.clientHeight / 3
+  mirror.remove()
+}
+
+function App({ role = 'operator' }) {
+  // The talent window only shows the scrolling script and follows the operator window
+  const isTalent = role === 'talent'
+  const [script, setScript] = useState(DEFAULT_SCRIPT_FIELDS.script)
+  const [targetMinutes, setTargetMinutes] = useState(DEFAULT_SCRIPT_FIELDS.targetMinutes)
+  const [targetSeconds, setTargetSeconds] = useState(DEFAULT_SCRIPT_FIELDS.targetSeconds)
+  const [speakerSpeeds, setSpeakerSpeeds] = useState(DEFAULT_SCRIPT_FIELDS.speakerSpeeds)
+  const [speakerColors, setSpeakerColors] = useState(DEFAULT_SCRIPT_FIELDS.speakerColors)
+  const [language, setLanguage] = useState(DEFAULT_SCRIPT_FIELDS.language)
+  const [direction, setDirection] = useState(DEFAULT_SCRIPT_FIELDS.direction)
+  const [calibration, setCalibration] = useState(() => loadFromStorage('teleprompter-calibration', { enabled: false, profiles: {} }))
+  const [scripts, setScripts] = useState([])
+  const [activeScriptId, setActiveScriptId] = useState(null)
+  const [libraryReady, setLibraryReady] = useState(false)
+  const [importMessage, setImportMessage] = useState(null)
+  const [isDraggingFile, setIsDraggingFile] = useState(false)
+  const [takes, setTakes] = useState([])
+  const [reportTake, setReportTake] = useState(null)
+  const [versions, setVersions] = useState([])
+  const [compareVersion, setCompareVersion] = useState(null)
+  const [captionGrouping, setCaptionGrouping] = useState(() => loadFromStorage('teleprompter-caption-grouping', 'sentence'))
+  const [pacingMode, setPacingMode] = useState(() => loadFromStorage('teleprompter-pacing-mode', 'timed'))
+  const [voiceSource, setVoiceSource] = useState(() => loadFromStorage('teleprompter-voice-source', 'webspeech'))
+  // 'locked' while following the speaker, 'fallback' on the timed schedule,
+  // 'error' when the recognizer failed (voiceError says why) until it hears the
+  // speaker again
+  const [voiceState, setVoiceState] = useState('fallback')
+  const [voiceError, setVoiceError] = useState(null)
+  const [displayTransform, setDisplayTransform] = useState(() => ({
+    ...DEFAULT_DISPLAY_TRANSFORM,
+    ...loadFromStorage('teleprompter-display-transform', {})
+  }))
+  const [displayLayout, setDisplayLayout] = useState(() => normalizeDisplayLayout(loadFromStorage('teleprompter-display-layout', {})))
+  const [readingGuide, setReadingGuide] = useState(() => normalizeReadingGuide(loadFromStorage('teleprompter-reading-guide', {})))
+  const [maxWpm, setMaxWpm] = useState(() => loadFromStorage('teleprompter-max-wpm', DEFAULT_MAX_WPM))
+  const [rehearsal, setRehearsal] = useState(() => normalizeRehearsal(loadFromStorage('teleprompter-rehearsal', {})))
+  const [isPlaying, setIsPlaying] = useState(false)
+  const [currentWordIndex, setCurrentWordIndex] = useState(-1)
+  const [showInput, setShowInput] = useState(!isTalent)
+  const [elapsedTime, setElapsedTime] = useState(0)
+  const [countdown, setCountdown] = useState(null)
+  const [layout, setLayout] = useState(null)
+  const [renderBand, setRenderBand] = useState(0)
+  const [pausedScrollY, setPausedScrollY] = useState(0)
+  const [talentConnected, setTalentConnected] = useState(false)
+  const [isFullscreen, setIsFullscreen] = useState(false)
+  const [playbackRate, setPlaybackRate] = useState(1)
+  const [actualElapsed, setActualElapsed] = useState(0)
+  const [heldWordIndex, setHeldWordIndex] = useState(null)
+  const [remoteSettings, setRemoteSettings] = useState(() => ({
+    enabled: false,
+    url: `ws://localhost:${DEFAULT_REMOTE_PORT}`,
+    token: '',
+    ...loadFromStorage('teleprompter-remote', {})
+  }))
+  const [remoteStatus, setRemoteStatus] = useState('disconnected')
+  // Joining a room is never restored on load, since it can replace the script
+  const [collabSettings, setCollabSettings] = useState(() => ({
+    url: `ws://localhost:${DEFAULT_COLLAB_PORT}`,
+    token: '',
+    room: '',
+    name: '',
+    ...loadFromStorage('teleprompter-collab', {}),
+    enabled: false
+  }))
+  const [collabStatus, setCollabStatus] = useState('disconnected')
+  const [collabPeers, setCollabPeers] = useState([])
+  const [keymap, setKeymap] = useState(() => mergeKeymap(loadFromStorage('teleprompter-keymap', {})))
+  const [showShortcuts, setShowShortcuts] = useState(false)
+  const countdownTimeoutsRef = useRef([])
+
+  const lastSavedFieldsRef = useRef(null)
+  // Number for the next take of the active script. Kept in a ref so a take
+  // started right after another one was finished doesn't reuse its number.
+  const nextTakeNumberRef = useRef(1)
+
+  // The active script's fields, as stored in its library entry
+  const scriptFields = useMemo(() => ({
+    script, targetMinutes, targetSeconds, speakerSpeeds, speakerColors, language, direction
+  }), [script, targetMinutes, targetSeconds, speakerSpeeds, speakerColors, language, direction])
+
+  const applyScriptFields = useCallback((fields) => {
+    setScript(fields.script)
+    setTargetMinutes(fields.targetMinutes)
+    setTargetSeconds(fields.targetSeconds)
+    setSpeakerSpeeds(fields.speakerSpeeds)
+    setSpeakerColors(fields.speakerColors)
+    setLanguage(fields.language ?? DEFAULT_SCRIPT_FIELDS.language)
+    setDirection(fields.direction ?? DEFAULT_SCRIPT_FIELDS.direction)
+  }, [])
+
+  // Make a library entry the active script
+  const loadScriptEntry = useCallback((entry) => {
+    const fields = { ...DEFAULT_SCRIPT_FIELDS }
+    Object.keys(fields).forEach(key => {
+      if (entry[key] !== undefined) fields[key] = entry[key]
+    })
+    lastSavedFieldsRef.current = JSON.stringify(fields)
+    applyScriptFields(fields)
+    setActiveScriptId(entry.id)
+    // A collaboration room is joined with one script; switching leaves it
+    setCollabSettings(prev => prev.enabled ? { ...prev, enabled: false } : prev)
+  }, [applyScriptFields])
+
+  // Open the script library (the talent window gets its script from the operator)
+  useEffect(() => {
+    if (isTalent) return
+
+    let cancelled = false
+    loadLibrary()
+      .then(async entries => {
+        if (cancelled) return
+        const savedId = loadFromStorage('teleprompter-active-script', null)
+        let library = entries
+        let active = entries.find(e => e.id === savedId) || entries[0]
+
+        // A share link opens its project as a new library entry, then leaves
+        // the address bar so a reload doesn't add it again
+        try {
+          const shared = await readShareHash(window.location.hash)
+          if (shared) {
+            active = createScriptEntry(shared.name || 'Shared script', shared.fields)
+            await saveScript(active)
+            library = [active, ...entries]
+            setImportMessage({ type: 'success', text: `Opened shared script "${active.name}"` })
+            window.history.replaceState(null, '', window.location.pathname + window.location.search)
+          }
+        } catch (err) {
+          setImportMessage({ type: 'error', text: err.message })
+          window.history.replaceState(null, '', window.location.pathname + window.location.search)
+        }
+        if (cancelled) return
+
+        setScripts(library)
+        loadScriptEntry(active)
+        setLibraryReady(true)
+      })
+      .catch(err => console.error('Could not open the script library:', err))
 
-  let baseWeight = syllables * 0.7 + lengthFactor * 0.3
+    return () => {
+      cancelled = true
+    }
+  }, [isTalent, loadScriptEntry])
+
+  // Write the active script to the library if it changed since the last save,
+  // keeping automatic versions of it along the way (see scriptHistory.js).
+  // It only counts as saved once the write succeeds, so a failed save is tried
+  // again with the next one.
+  const saveActiveScript = useCallback(async (fields) => {
+    const serialized = JSON.stringify(fields)
+    if (!activeScriptId || serialized === lastSavedFieldsRef.current) return
+    const previous = lastSavedFieldsRef.current && JSON.parse(lastSavedFieldsRef.current)
+
+    const existing = scripts.find(e => e.id === activeScriptId)
+    const entry = { ...existing, ...fields, updatedAt: Date.now() }
+    setScripts(prev => [entry, ...prev.filter(e => e.id !== entry.id)])
+    await saveScript(entry)
+    lastSavedFieldsRef.current = serialized
+
+    try {
+      for (const state of getAutoVersions(previous, fields, versions[0], Date.now())) {
+        setVersions(await addVersion(createVersion(activeScriptId, state)))
+      }
+    } catch (err) {
+      setImportMessage({ type: 'error', text: `Could not keep a version of the script: ${err.message}` })
+    }
+  }, [scripts, activeScriptId, versions])
 
-  // Add pause for punctuation
-  if (/[.!?]$/.test(word)) {
-    // Sentence-ending punctuation: longer pause
-    baseWeight += 1.5
-  } else if (/[,;:\u2014\u2013]$/.test(word) || word.endsWith('—') || word.endsWith('–')) {
-    // Clause punctuation (comma, semicolon, colon, em-dash): medium pause
-    baseWeight += 0.8
+  // Save edits to the library once typing pauses
+  useEffect(() => {
+    if (!libraryReady) return
+    const timeout = setTimeout(() => {
+      saveActiveScript(scriptFields).catch(err => {
+        setImportMessage({ type: 'error', text: `Could not save the script: ${err.message}` })
+      })
+    }, SAVE_DELAY_MS)
+    return () => clearTimeout(timeout)
+  }, [libraryReady, scriptFields, saveActiveScript])
+
+  useEffect(() => {
+    if (activeScriptId) {
+      localStorage.setItem('teleprompter-active-script', JSON.stringify(activeScriptId))
+    }
+  }, [activeScriptId])
+
+  // Takes recorded for the active script
+  useEffect(() => {
+    if (isTalent || !activeScriptId) return
+
+    let cancelled = false
+    listTakes(activeScriptId)
+      .then(list => {
+        if (cancelled) return
+        setTakes(list)
+        nextTakeNumberRef.current = (list[0]?.number || 0) + 1
+      })
+      .catch(err => console.error('Could not load takes:', err))
+
+    return () => {
+      cancelled = true
+    }
+  }, [isTalent, activeScriptId])
+
+  // Saved versions of the active script
+  useEffect(() => {
+    if (isTalent || !activeScriptId) return
+
+    let cancelled = false
+    listVersions(activeScriptId)
+      .then(list => {
+        if (!cancelled) setVersions(list)
+      })
+      .catch(err => console.error('Could not load script versions:', err))
+
+    return () => {
+      cancelled = true
+    }
+  }, [isTalent, activeScriptId])
+
+  const handleSaveCheckpoint = async (name) => {
+    try {
+      setVersions(await addVersion(createVersion(activeScriptId, scriptFields, name)))
+    } catch (err) {
+      setImportMessage({ type: 'error', text: `Could not save the checkpoint "${name}": ${err.message}` })
+    }
   }
 
-  // Add pause before line breaks
-  if (isBeforeLineBreak) {
-    baseWeight += 1.0
+  // Bring back a saved version with its target time and speaker settings. The
+  // current state is kept as a version first, so the restore can be undone;
+  // if that fails, nothing is restored.
+  const handleRestoreVersion = async (version) => {
+    try {
+      if (!versions[0] || !hasSameFields(versions[0].fields, scriptFields)) {
+        setVersions(await addVersion(createVersion(activeScriptId, scriptFields)))
+      }
+    } catch (err) {
+      setImportMessage({ type: 'error', text: `Could not keep the current script before restoring: ${err.message}` })
+      return
+    }
+    applyScriptFields(version.fields)
+    collabRef.current?.update(version.fields.script)
+    setCompareVersion(null)
   }
 
-  return baseWeight
-}
+  // The current script is saved first; if that fails it stays open, so the
+  // unsaved edits aren't lost
+  const handleSelectScript = async (id) => {
+    try {
+      await saveActiveScript(scriptFields)
+      const entry = await getScript(id)
+      if (entry) loadScriptEntry(entry)
+    } catch (err) {
+      setImportMessage({ type: 'error', text: `Could not open the script: ${err.message}` })
+    }
+  }
 
-// Parse markdown formatting from a word
-function parseWordFormatting(word) {
-  let text = word
-  let bold = false
-  let italic = false
+  // Add an entry to the library and switch to it
+  const addScriptEntry = async (entry) => {
+    await saveActiveScript(scriptFields)
+    await saveScript(entry)
+    setScripts(prev => [entry, ...prev])
+    loadScriptEntry(entry)
+  }
 
-  if ((text.startsWith('**') && text.endsWith('**')) ||
-      (text.startsWith('__') && text.endsWith('__'))) {
-    bold = true
-    text = text.slice(2, -2)
+  const handleCreateScript = async () => {
+    try {
+      await addScriptEntry(createScriptEntry('Untitled script'))
+    } catch (err) {
+      setImportMessage({ type: 'error', text: `Could not create the script: ${err.message}` })
+    }
   }
 
-  if ((text.startsWith('*') && text.endsWith('*') && !text.startsWith('**')) ||
-      (text.startsWith('_') && text.endsWith('_') && !text.startsWith('__'))) {
-    italic = true
-    text = text.slice(1, -1)
+  // Import files as new library entries, one per file
+  const handleImportFiles = async (files) => {
+    for (const file of files) {
+      try {
+        if (isProjectFileName(file.name)) {
+          const { name, fields } = await readProjectFile(file)
+          await addScriptEntry(createScriptEntry(name, fields))
+          setImportMessage({ type: 'success', text: `Imported project "${name}"` })
+          continue
+        }
+
+        const { name, script: imported, targetTimeMs } = await importScriptFile(file)
+        const fields = { script: imported }
+        if (targetTimeMs) {
+          fields.targetMinutes = Math.floor(targetTimeMs / 60000)
+          fields.targetSeconds = Math.round((targetTimeMs % 60000) / 1000)
+        }
+        await addScriptEntry(createScriptEntry(name, fields))
+        setImportMessage({
+          type: 'success',
+          text: targetTimeMs ? `Imported "${name}" (target time from subtitle timings)` : `Imported "${name}"`
+        })
+      } catch (err) {
+        setImportMessage({ type: 'error', text: `${file.name}: ${err.message}` })
+      }
+    }
   }
 
-  return { text, bold, italic }
-}
+  const activeScriptName = () => scripts.find(e => e.id === activeScriptId)?.name || 'Untitled script'
 
-// Parse script into speaker sections
-function parseScript(script) {
-  let cleaned = script.replace(/==(.*?)==/g, '$1')
+  const handleExportProject = () => {
+    downloadProject(activeScriptName(), scriptFields)
+  }
 
-  // Find all speaker markers and their positions
-  const speakerRegex = /\[([^\]]+)\]:/g
-  const markers = []
-  let match
+  const handleCopyShareLink = async () => {
+    try {
+      const link = await createShareLink(activeScriptName(), scriptFields)
+      await navigator.clipboard.writeText(link)
+      setImportMessage({
+        type: 'success',
+        text: link.length > LONG_SHARE_LINK
+          ? `Share link copied (${link.length.toLocaleString()} characters; some apps cut long links short, so a project file may travel better)`
+          : 'Share link copied'
+      })
+    } catch (err) {
+      setImportMessage({ type: 'error', text: `Could not copy the share link: ${err.message}` })
+    }
+  }
 
-  while ((match = speakerRegex.exec(cleaned)) !== null) {
-    markers.push({
-      speaker: match[1],
-      start: match.index,
-      end: match.index + match[0].length
-    })
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setIsDraggingFile(false)
+    if (e.dataTransfer.files.length > 0) {
+      handleImportFiles(Array.from(e.dataTransfer.files))
+    }
   }
 
-  const sections = []
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return
+    e.preventDefault()
+    setIsDraggingFile(true)
+  }
 
-  // If no markers, treat whole script as one section
-  if (markers.length === 0) {
-    if (cleaned.trim()) {
-      sections.push({ speaker: null, content: cleaned.trim() })
+  const handleDuplicateScript = async (id) => {
+    try {
+      await saveActiveScript(scriptFields)
+      const source = id === activeScriptId ? { ...scripts.find(e => e.id === id), ...scriptFields } : await getScript(id)
+      if (!source) return
+      const fields = {}
+      Object.keys(DEFAULT_SCRIPT_FIELDS).forEach(key => {
+        fields[key] = source[key]
+      })
+      await addScriptEntry(createScriptEntry(`${source.name} copy`, fields))
+    } catch (err) {
+      setImportMessage({ type: 'error', text: `Could not duplicate the script: ${err.message}` })
     }
-    return sections
   }
 
-  // Content before first speaker
-  if (markers[0].start > 0) {
-    const content = cleaned.slice(0, markers[0].start).trim()
-    if (content) {
-      sections.push({ speaker: null, content })
+  // The list only shows the new name once it's stored
+  const handleRenameScript = async (id, name) => {
+    try {
+      const entry = id === activeScriptId
+        ? { ...scripts.find(e => e.id === id), ...scriptFields }
+        : await getScript(id)
+      if (!entry) return
+      const renamed = { ...entry, name }
+      await saveScript(renamed)
+      setScripts(prev => prev.map(e => e.id === id ? renamed : e))
+    } catch (err) {
+      setImportMessage({ type: 'error', text: `Could not rename the script: ${err.message}` })
     }
   }
 
-  // Process each speaker section
-  markers.forEach((marker, i) => {
-    const contentStart = marker.end
-    const contentEnd = i < markers.length - 1 ? markers[i + 1].start : cleaned.length
-    const content = cleaned.slice(contentStart, contentEnd).trim()
+  const handleDeleteScript = async (id) => {
+    if (scripts.length <= 1) return
+    try {
+      await deleteScript(id)
+    } catch (err) {
+      setImportMessage({ type: 'error', text: `Could not delete the script: ${err.message}` })
+      return
+    }
+    const remaining = scripts.filter(e => e.id !== id)
+    setScripts(remaining)
+    if (id === activeScriptId) {
+      loadScriptEntry(remaining[0])
+    }
 
-    if (content) {
-      sections.push({ speaker: marker.speaker, content })
+    try {
+      await deleteTakes(id)
+      await deleteVersions(id)
+    } catch (err) {
+      setImportMessage({ type: 'error', text: `The script was deleted, but not its takes and versions: ${err.message}` })
     }
-  })
+  }
 
-  return sections
-}
+  useEffect(() => {
+    localStorage.setItem('teleprompter-pacing-mode', JSON.stringify(pacingMode))
+  }, [pacingMode])
 
-// Parse section content into words with line break markers
-function parseWords(content) {
-  const lines = content.split('\n')
-  const words = []
-
-  lines.forEach((line, lineIndex) => {
-    const lineWords = line.trim().split(/\s+/).filter(w => w.length > 0)
-    lineWords.forEach((word, wordIndex) => {
-      const formatted = parseWordFormatting(word)
-      words.push({
-        ...formatted,
-        isLineStart: wordIndex === 0 && lineIndex > 0
-      })
-    })
-  })
+  useEffect(() => {
+    localStorage.setItem('teleprompter-voice-source', JSON.stringify(voiceSource))
+  }, [voiceSource])
 
-  return words
-}
+  useEffect(() => {
+    localStorage.setItem('teleprompter-display-transform', JSON.stringify(displayTransform))
+  }, [displayTransform])
 
-// Load from localStorage
-const loadFromStorage = (key, defaultValue) => {
-  try {
-    const saved = localStorage.getItem(key)
-    return saved !== null ? JSON.parse(saved) : defaultValue
-  } catch {
-    return defaultValue
-  }
-}
+  useEffect(() => {
+    localStorage.setItem('teleprompter-display-layout', JSON.stringify(displayLayout))
+  }, [displayLayout])
 
-function App() {
-  const [script, setScript] = useState(() => loadFromStorage('teleprompter-script', ''))
-  const [targetMinutes, setTargetMinutes] = useState(() => loadFromStorage('teleprompter-minutes', 1))
-  const [targetSeconds, setTargetSeconds] = useState(() => loadFromStorage('teleprompter-seconds', 0))
-  const [speakerSpeeds, setSpeakerSpeeds] = useState(() => loadFromStorage('teleprompter-speeds', {}))
-  const [speakerColors, setSpeakerColors] = useState(() => loadFromStorage('teleprompter-colors', {}))
-  const [isPlaying, setIsPlaying] = useState(false)
-  const [currentWordIndex, setCurrentWordIndex] = useState(-1)
-  const [showInput, setShowInput] = useState(true)
-  const [elapsedTime, setElapsedTime] = useState(0)
-  const [countdown, setCountdown] = useState(null)
-  const [wordPositions, setWordPositions] = useState([])
-  const [pausedScrollY, setPausedScrollY] = useState(0)
-  const countdownTimeoutsRef = useRef([])
+  useEffect(() => {
+    localStorage.setItem('teleprompter-reading-guide', JSON.stringify(readingGuide))
+  }, [readingGuide])
 
-  // Save to localStorage when values change
   useEffect(() => {
-    localStorage.setItem('teleprompter-script', JSON.stringify(script))
-  }, [script])
+    localStorage.setItem('teleprompter-rehearsal', JSON.stringify(rehearsal))
+  }, [rehearsal])
 
   useEffect(() => {
-    localStorage.setItem('teleprompter-minutes', JSON.stringify(targetMinutes))
-  }, [targetMinutes])
+    localStorage.setItem('teleprompter-max-wpm', JSON.stringify(maxWpm))
+  }, [maxWpm])
 
   useEffect(() => {
-    localStorage.setItem('teleprompter-seconds', JSON.stringify(targetSeconds))
-  }, [targetSeconds])
+    localStorage.setItem('teleprompter-remote', JSON.stringify(remoteSettings))
+  }, [remoteSettings])
 
   useEffect(() => {
-    localStorage.setItem('teleprompter-speeds', JSON.stringify(speakerSpeeds))
-  }, [speakerSpeeds])
+    const { url, token, room, name } = collabSettings
+    localStorage.setItem('teleprompter-collab', JSON.stringify({ url, token, room, name }))
+  }, [collabSettings])
 
   useEffect(() => {
-    localStorage.setItem('teleprompter-colors', JSON.stringify(speakerColors))
-  }, [speakerColors])
+    localStorage.setItem('teleprompter-keymap', JSON.stringify(keymap))
+  }, [keymap])
 
-  // Parse script into sections and flatten words
-  const { sections, allWords, sectionBoundaries } = useMemo(() => {
-    const sections = parseScript(script)
-    const allWords = []
-    const sectionBoundaries = []
-
-    sections.forEach((section) => {
-      const startIndex = allWords.length
-      const words = parseWords(section.content)
-      words.forEach(word => {
-        allWords.push({ ...word, speaker: section.speaker })
-      })
-      sectionBoundaries.push({
-        startIndex,
-        endIndex: allWords.length - 1,
-        speaker: section.speaker
+  useEffect(() => {
+    localStorage.setItem('teleprompter-caption-grouping', JSON.stringify(captionGrouping))
+  }, [captionGrouping])
+
+  useEffect(() => {
+    localStorage.setItem('teleprompter-calibration', JSON.stringify(calibration))
+  }, [calibration])
+
+  // Bind combos to an action, taking them away from any other action
+  const updateShortcut = useCallback((action, combos) => {
+    setKeymap(prev => {
+      const next = {}
+      Object.entries(prev).forEach(([id, bound]) => {
+        next[id] = id === action ? combos : bound.filter(c => !combos.includes(c))
       })
+      return next
     })
+  }, [])
 
-    return { sections, allWords, sectionBoundaries }
-  }, [script])
+  const updateDisplayTransform = (changes) => {
+    setDisplayTransform(prev => ({ ...prev, ...changes }))
+  }
+
+  const updateDisplayLayout = (changes) => {
+    setDisplayLayout(prev => ({ ...prev, ...changes }))
+  }
+
+  const updateReadingGuide = (changes) => {
+    setReadingGuide(prev => ({ ...prev, ...changes }))
+  }
+
+  const updateRehearsal = (changes) => {
+    setRehearsal(prev => ({ ...prev, ...changes }))
+  }
+
+  // The talent window picks up settings the operator changes in the other window
+  useEffect(() => {
+    if (!isTalent) return
+
+    const setters = {
+      'teleprompter-pacing-mode': setPacingMode,
+      'teleprompter-calibration': setCalibration,
+      'teleprompter-display-transform': (value) => setDisplayTransform({ ...DEFAULT_DISPLAY_TRANSFORM, ...value }),
+      'teleprompter-display-layout': (value) => setDisplayLayout(normalizeDisplayLayout(value)),
+      'teleprompter-reading-guide': (value) => setReadingGuide(normalizeReadingGuide(value)),
+      'teleprompter-rehearsal': (value) => setRehearsal(normalizeRehearsal(value))
+    }
+    const handleStorage = (e) => {
+      const setter = setters[e.key]
+      if (!setter || e.newValue === null) return
+      try {
+        setter(JSON.parse(e.newValue))
+      } catch {
+        // Ignore values we can't parse
+      }
+    }
+
+    window.addEventListener('storage', handleStorage)
+    return () => window.removeEventListener('storage', handleStorage)
+  }, [isTalent])
+
+  // Parse script into sections and flatten words
+  const { allWords, sectionBoundaries } = useMemo(() => parseScript(script), [script])
 
   // Extract unique speakers
   const speakers = useMemo(() => {
@@ -219,6 +620,24 @@ function App() {
     return uniqueSpeakers
   }, [sectionBoundaries])
 
+  // Rehearsal mode: which words are the performer's, their cues or hidden
+  const rehearsalRoles = useMemo(() => {
+    return getRehearsalRoles(allWords, sectionBoundaries, rehearsal)
+  }, [allWords, sectionBoundaries, rehearsal])
+
+  const playbackWords = useMemo(() => {
+    return getRehearsalWords(allWords, rehearsalRoles, rehearsal.hideOwnLines)
+  }, [allWords, rehearsalRoles, rehearsal.hideOwnLines])
+
+  // Without the countdown, hidden lines take no time at all
+  const droppedWords = useMemo(() => {
+    return rehearsalRoles && !rehearsal.countdown ? rehearsalRoles.map(role => role === 'hidden') : null
+  }, [rehearsalRoles, rehearsal.countdown])
+
+  const nextOwnWords = useMemo(() => {
+    return rehearsalRoles ? getNextOwnWords(rehearsalRoles) : null
+  }, [rehearsalRoles])
+
   // Get speed modifier for a speaker (higher = faster = less time per word)
   const getSpeakerSpeed = (speaker) => {
     return speakerSpeeds[speaker] || 1.0
@@ -232,19 +651,6 @@ function App() {
   }
 
   // Predefined color palette for speakers
-  const colorPalette = [
-    '#646cff', // Blue
-    '#ff6b6b', // Red
-    '#4ecdc4', // Teal
-    '#ffe66d', // Yellow
-    '#a855f7', // Purple
-    '#f97316', // Orange
-    '#22c55e', // Green
-    '#ec4899', // Pink
-    '#06b6d4', // Cyan
-    '#eab308', // Amber
-  ]
-
   const getSpeakerColor = (speaker) => {
     if (speakerColors[speaker]) return speakerColors[speaker]
     // Assign a default color based on speaker index
@@ -252,6 +658,19 @@ function App() {
     return colorPalette[idx % colorPalette.length]
   }
 
+  // Color of each section's speaker, for the playback view
+  const sectionColors = useMemo(() => {
+    return sectionBoundaries.map(section => {
+      if (!section.speaker) return colorPalette[0]
+      return speakerColors[section.speaker] || colorPalette[speakers.indexOf(section.speaker) % colorPalette.length]
+    })
+  }, [sectionBoundaries, speakerColors, speakers])
+
+  // Text direction of each section, for the playback view
+  const sectionDirections = useMemo(() => {
+    return getSectionDirections(allWords, sectionBoundaries, direction)
+  }, [allWords, sectionBoundaries, direction])
+
   const updateSpeakerColor = (speaker, color) => {
     setSpeakerColors(prev => ({
       ...prev,
@@ -262,123 +681,297 @@ function App() {
   const totalWords = allWords.length
   const targetTimeMs = (targetMinutes * 60 + targetSeconds) * 1000
 
-  // Calculate timing for each word (accounting for speaker speeds)
-  const wordTimings = useMemo(() => {
-    const weights = allWords.map((w, i) => {
+  // Timing-model features for each word in the script's language
+  const wordFeatures = useMemo(() => {
+    const resolved = resolveLanguage(language, navigator.language)
+    return allWords.map((w, i) => {
       // Check if next word starts a new line
       const isBeforeLineBreak = i < allWords.length - 1 && allWords[i + 1].isLineStart
-      let weight = getWordWeight(w.text, isBeforeLineBreak)
+      const features = getWordFeatures(w.text, resolved, isBeforeLineBreak)
+      // Struck-through words are skipped, so they take no time
+      return w.skip ? Object.fromEntries(Object.keys(features).map(feature => [feature, 0])) : features
+    })
+  }, [allWords, language])
+
+  // Calculate timing for each word (accounting for speaker speeds and section budgets)
+  const wordTimings = useMemo(() => {
+    const weights = allWords.map((w, i) => {
+      // Readers with a calibration profile use their own coefficients
+      const profile = calibration.enabled && calibration.profiles[getProfileKey(w.speaker)]
+      let weight = getWordWeight(wordFeatures[i], profile ? profile.coefficients : DEFAULT_COEFFICIENTS)
 
-      // Apply speaker speed modifier (higher speed = less time = divide weight)
-      const speed = getSpeakerSpeed(w.speaker)
+      // Apply speaker speed and [slow]/[fast]/[speed] regions (higher speed = less time = divide weight)
+      const speed = getSpeakerSpeed(w.speaker) * w.tempo
       weight = weight / speed
 
       return weight
     })
-    const totalWeight = weights.reduce((sum, w) => sum + w, 0)
-    return weights.map(weight =>
-      totalWeight > 0 ? (weight / totalWeight) * targetTimeMs : 0
-    )
-  }, [allWords, targetTimeMs, speakerSpeeds])
+    const timings = allocateWordTimings(weights, allWords, sectionBoundaries, targetTimeMs)
+    return droppedWords ? timings.map((timing, i) => droppedWords[i] ? 0 : timing) : timings
+  }, [allWords, wordFeatures, sectionBoundaries, targetTimeMs, speakerSpeeds, calibration, droppedWords])
 
-  // Calculate cumulative start time for each word
+  // Calculate cumulative start time for each word, including the pauses before it.
+  // A word's timing covers only its speaking time, so scrolling rests during pauses.
   const wordStartTimes = useMemo(() => {
     const startTimes = []
     let cumulative = 0
     for (let i = 0; i < wordTimings.length; i++) {
+      if (!droppedWords?.[i]) cumulative += allWords[i].pauseMs
       startTimes.push(cumulative)
       cumulative += wordTimings[i]
     }
     return startTimes
-  }, [wordTimings])
+  }, [allWords, wordTimings, droppedWords])
+
+  // Length of the whole schedule. This is the target time unless section
+  // budgets cover every section or add up to more than the target.
+  const scheduleMs = totalWords > 0
+    ? wordStartTimes[totalWords - 1] + wordTimings[totalWords - 1]
+    : targetTimeMs
+
+  // Where each speaker or heading section starts, for the timeline
+  const timelineMarkers = useMemo(() => {
+    return sectionBoundaries
+      .map((section, i) => ({
+        at: wordStartTimes[section.startIndex] ?? 0,
+        label: section.title || section.speaker,
+        color: sectionColors[i],
+        kind: section.title ? 'heading' : 'speaker'
+      }))
+      .filter(marker => marker.label)
+  }, [sectionBoundaries, wordStartTimes, sectionColors])
+
+  const sectionFeatures = useMemo(() => {
+    return getSectionFeatures(sectionBoundaries, allWords, wordFeatures)
+  }, [sectionBoundaries, allWords, wordFeatures])
+
+  // How long the script takes at the readers' calibrated pace, ignoring the target
+  const calibratedMs = useMemo(() => {
+    if (!calibration.enabled) return null
+    return allWords.reduce((sum, w, i) => {
+      const coefficients = calibration.profiles[getProfileKey(w.speaker)]?.coefficients || DEFAULT_COEFFICIENTS
+      return sum + getWordWeight(wordFeatures[i], coefficients) + w.pauseMs
+    }, 0)
+  }, [allWords, wordFeatures, calibration])
+
+  const sectionStats = useMemo(() => {
+    return getSectionStats(allWords, sectionBoundaries, wordStartTimes, wordTimings)
+  }, [allWords, sectionBoundaries, wordStartTimes, wordTimings])
+
+  // When each script line starts and how long its words take, for the
+  // editor's gutter, with the line's first word to start the prompter from
+  const lineTimings = useMemo(() => {
+    const timings = new Map()
+    allWords.forEach((word, i) => {
+      const end = wordStartTimes[i] + wordTimings[i]
+      const timing = timings.get(word.line)
+      if (timing) {
+        timing.duration = end - timing.start
+      } else {
+        timings.set(word.line, { start: wordStartTimes[i], duration: end - wordStartTimes[i], wordIndex: i })
+      }
+    })
+    return timings
+  }, [allWords, wordStartTimes, wordTimings])
+
+  const scriptInputRef = useRef(null)
+
+  // Problems in the script text, shown under the editor
+  const lintProblems = useMemo(() => {
+    return lintScript(script, { sectionBoundaries, sectionStats, maxWpm })
+  }, [script, sectionBoundaries, sectionStats, maxWpm])
+
+  // Words with a [hold] before them
+  const holdIndexes = useMemo(() => {
+    return allWords.flatMap((word, i) => word.hold ? [i] : [])
+  }, [allWords])
+
+  // Export the planned schedule as captions or a cue sheet
+  const handleExport = (format) => {
+    const name = scripts.find(e => e.id === activeScriptId)?.name || 'script'
+    const baseName = toFileName(name)
+
+    if (format === 'json') {
+      const cueSheet = buildCueSheet({ name, targetTimeMs: scheduleMs, allWords, sectionBoundaries, wordStartTimes, wordTimings })
+      downloadTextFile(`${baseName}.cues.json`, JSON.stringify(cueSheet, null, 2), 'application/json')
+      return
+    }
+
+    const captions = buildCaptions(allWords, sectionBoundaries, wordStartTimes, wordTimings, captionGrouping)
+    if (format === 'srt') {
+      downloadTextFile(`${baseName}.srt`, formatSrt(captions), 'application/x-subrip')
+    } else {
+      downloadTextFile(`${baseName}.vtt`, formatWebVtt(captions), 'text/vtt')
+    }
+  }
+
+  // CSV of every take for the active script, oldest first
+  const handleExportTakes = () => {
+    const name = scripts.find(e => e.id === activeScriptId)?.name || 'script'
+    downloadTextFile(`${toFileName(name)}.takes.csv`, takesToCsv([...takes].reverse()), 'text/csv')
+  }
 
-  const averageWPM = totalWords > 0 && targetTimeMs > 0
-    ? Math.round(totalWords / (targetTimeMs / 60000))
+  const handleClearTakes = async () => {
+    try {
+      await deleteTakes(activeScriptId)
+    } catch (err) {
+      setImportMessage({ type: 'error', text: `Could not clear the takes: ${err.message}` })
+      return
+    }
+    setTakes([])
+    nextTakeNumberRef.current = 1
+  }
+
+  const averageWPM = totalWords > 0 && scheduleMs > 0
+    ? Math.round(totalWords / (scheduleMs / 60000))
     : 0
 
   const animationRef = useRef(null)
   const startTimeRef = useRef(null)
-  const wordDisplayRef = useRef(null)
   const scrollContentRef = useRef(null)
   const pausedViewportRef = useRef(null)
+  const voiceMatchRef = useRef(null)
+  const voiceTrackerRef = useRef(null)
+  const scrollYRef = useRef(0)
+  const playbackRateRef = useRef(1)
+  const actualElapsedRef = useRef(0)
+  const lastFrameAtRef = useRef(null)
+  // Schedule time at the last animation frame
+  const elapsedRef = useRef(0)
+  // Playback state as last rendered, so frames only set what has changed
+  const shownPlaybackRef = useRef(null)
+  const takeRecorderRef = useRef(null)
+  const passedHoldRef = useRef(-1)
+  // Talent window: the word the operator is holding at, if any
+  const operatorHoldRef = useRef(null)
+
+  // Schedule time at a wall-clock instant. The playback rate scales how fast
+  // the schedule advances relative to the wall clock.
+  const getScheduleElapsed = (now) => (now - startTimeRef.current) * playbackRateRef.current
+
+  // Re-anchor the clock so the schedule reads `elapsed` at `now`
+  const anchorClock = (elapsed, now) => {
+    startTimeRef.current = now - elapsed / playbackRateRef.current
+  }
 
-  // Measure word positions after render
-  const measureWordPositions = () => {
-    if (!wordDisplayRef.current || !scrollContentRef.current) return []
-
-    const container = wordDisplayRef.current
-    const content = scrollContentRef.current
-    const contentRect = content.getBoundingClientRect()
-    const positions = []
-
-    for (let i = 0; i < allWords.length; i++) {
-      const wordEl = content.querySelector(`[data-word-index="${i}"]`)
-      if (wordEl) {
-        const rect = wordEl.getBoundingClientRect()
-        positions.push({
-          top: rect.top - contentRect.top,
-          center: rect.top - contentRect.top + rect.height / 2
-        })
-      }
+  // Scroll the playing view; the offset is kept in a ref so it can be read back on pause
+  const applyScrollY = (scrollY, currentLayout = layout) => {
+    scrollYRef.current = scrollY
+    if (scrollContentRef.current) {
+      scrollContentRef.current.style.transform = `translateY(${-scrollY}px)`
     }
-
-    return positions
+    const band = getRenderBand(currentLayout, scrollY)
+    if (band !== shownPlaybackRef.current?.renderBand) setRenderBand(band)
   }
 
   // Find which word should be active at a given elapsed time
-  const getWordIndexAtTime = (elapsed) => {
-    for (let i = wordStartTimes.length - 1; i >= 0; i--) {
-      if (elapsed >= wordStartTimes[i]) {
-        return i
-      }
-    }
-    return 0
-  }
+  const getWordIndexAtTime = (elapsed) => findWordAtTime(wordStartTimes, elapsed)
 
   // Get scroll position for a given elapsed time (smooth interpolation)
-  const getScrollPositionAtTime = (elapsed, positions) => {
-    if (positions.length === 0) return 0
+  const getScrollPositionAtTime = (elapsed, currentLayout = layout) => {
+    return getScrollOffset(currentLayout, wordStartTimes, wordTimings, elapsed, displayLayout.readingLine)
+  }
 
-    const containerHeight = wordDisplayRef.current?.clientHeight || 0
-    const currentIdx = getWordIndexAtTime(elapsed)
-    const nextIdx = Math.min(currentIdx + 1, positions.length - 1)
+  // A new layout (after a resize, or a font size or column change) moves every
+  // word, so scroll to keep the current position on the reading line. This
+  // runs before the new layout is painted.
+  const applyLayout = (next) => {
+    setLayout(next)
+    if (!next || showInput) return
+
+    const scrollY = getScrollPositionAtTime(getCurrentElapsed(), next)
+    if (pausedViewportRef.current) {
+      pausedViewportRef.current.scrollTop = scrollY
+      setPausedScrollY(scrollY)
+    } else {
+      applyScrollY(scrollY, next)
+    }
+  }
 
-    const currentWordStart = wordStartTimes[currentIdx]
-    const currentWordDuration = wordTimings[currentIdx]
+  // In voice mode, hold the schedule at the word after the last recognized one
+  // until the speaker catches up. Without a recent confident match the timed
+  // schedule simply continues from where the speaker was last heard.
+  const applyVoicePacing = (elapsed, now) => {
+    const match = voiceMatchRef.current
+    const shownState = shownPlaybackRef.current?.voiceState
+    const state = match && now - match.at <= VOICE_FALLBACK_MS ? 'locked' : shownState === 'error' ? 'error' : 'fallback'
+    if (state !== shownState) setVoiceState(state)
+    if (state !== 'locked') return elapsed
+
+    const holdIdx = Math.min(match.index + 1, wordStartTimes.length - 1)
+    const holdAt = wordStartTimes[holdIdx]
+    if (elapsed > holdAt) {
+      anchorClock(holdAt, now)
+      return holdAt
+    }
+    return elapsed
+  }
 
-    // Progress through current word (0 to 1)
-    const wordProgress = currentWordDuration > 0
-      ? Math.min((elapsed - currentWordStart) / currentWordDuration, 1)
-      : 0
+  // Stop at the first [hold] the schedule has reached and not yet passed. The
+  // clock stays anchored there until the operator continues.
+  const applyHolds = (elapsed, now) => {
+    const holdIdx = holdIndexes.find(i => i > passedHoldRef.current && wordStartTimes[i] <= elapsed)
+    if (holdIdx === undefined) return elapsed
 
-    // Interpolate between current and next word positions
-    const currentY = positions[currentIdx]?.center || 0
-    const nextY = positions[nextIdx]?.center || currentY
+    setHeldWordIndex(holdIdx)
+    anchorClock(wordStartTimes[holdIdx], now)
+    return wordStartTimes[holdIdx]
+  }
 
-    const interpolatedY = currentY + (nextY - currentY) * wordProgress
+  // Treat holds before a point in the schedule as passed and re-arm the ones after it
+  const resetHolds = (elapsed = 0) => {
+    passedHoldRef.current = holdIndexes.filter(i => wordStartTimes[i] < elapsed).pop() ?? -1
+    setHeldWordIndex(null)
+  }
 
-    // Center in viewport
-    return Math.max(0, interpolatedY - containerHeight / 2)
+  const handleContinue = () => {
+    if (heldWordIndex === null) return
+    passedHoldRef.current = heldWordIndex
+    setHeldWordIndex(null)
   }
 
   // Main animation loop - drives both word highlighting and scrolling
   const runAnimation = () => {
     if (!startTimeRef.current || !scrollContentRef.current) return
 
-    const elapsed = Date.now() - startTimeRef.current
-    const positions = wordPositions
+    const now = Date.now()
+    let elapsed = getScheduleElapsed(now)
+    if (pacingMode === 'voice') {
+      elapsed = applyVoicePacing(elapsed, now)
+    }
+    // The operator decides when a hold ends. The talent window stops at the
+    // word the operator holds at, and follows its clock again once it's over.
+    if (!isTalent) {
+      elapsed = applyHolds(elapsed, now)
+    } else if (operatorHoldRef.current !== null) {
+      elapsed = Math.min(elapsed, wordStartTimes[operatorHoldRef.current])
+    }
+
+    elapsedRef.current = elapsed
 
-    // Update elapsed time display (always keep running)
-    setElapsedTime(elapsed)
+    // Track real time spent reading, which differs from the schedule when the speed changes
+    if (lastFrameAtRef.current) {
+      actualElapsedRef.current += now - lastFrameAtRef.current
+    }
+    lastFrameAtRef.current = now
 
     // Determine current word from elapsed time (cap at last word)
     const wordIdx = Math.min(getWordIndexAtTime(elapsed), allWords.length - 1)
-    setCurrentWordIndex(wordIdx)
+    takeRecorderRef.current?.update(getSectionIndex(wordIdx), actualElapsedRef.current, elapsed >= scheduleMs)
+    if (pacingMode === 'voice') takeRecorderRef.current?.markReaderPaced()
+
+    // The clock and finish projection show rounded seconds, so the app only
+    // re-renders when the word or the shown second changes, not on every frame
+    const shown = shownPlaybackRef.current
+    if (wordIdx !== shown?.currentWordIndex || Math.round(elapsed / 1000) !== Math.round(shown.elapsedTime / 1000)) {
+      setElapsedTime(elapsed)
+      setActualElapsed(actualElapsedRef.current)
+      setCurrentWordIndex(wordIdx)
+    }
 
     // Calculate and apply scroll position (cap at final position)
-    const cappedElapsed = Math.min(elapsed, targetTimeMs)
-    const scrollY = getScrollPositionAtTime(cappedElapsed, positions)
-    scrollContentRef.current.style.transform = `translateY(${-scrollY}px)`
+    const cappedElapsed = Math.min(elapsed, scheduleMs)
+    applyScrollY(getScrollPositionAtTime(cappedElapsed))
 
     // Keep animation running to show elapsed time
     animationRef.current = requestAnimationFrame(runAnimation)
@@ -389,42 +982,186 @@ function App() {
       cancelAnimationFrame(animationRef.current)
       animationRef.current = null
     }
+    lastFrameAtRef.current = null
+  }
+
+  const resetActualElapsed = () => {
+    actualElapsedRef.current = 0
+    setActualElapsed(0)
   }
 
   // Start animation when playing
   useEffect(() => {
-    if (isPlaying && wordPositions.length > 0) {
+    if (isPlaying && layout) {
       animationRef.current = requestAnimationFrame(runAnimation)
     }
     return () => stopAnimation()
-  }, [isPlaying, wordPositions])
+  }, [isPlaying, layout, displayLayout.readingLine])
+
+  // Collaborators can edit the script mid-run. The edit changes the words and
+  // their timings, so move the clock to keep the reader on the same word (or,
+  // if that word was edited, at the start of the edit) instead of at the same
+  // time in the new schedule. The talent window follows the operator's clock.
+  const runScheduleRef = useRef(null)
+  const realignPausedRef = useRef(null)
+  useLayoutEffect(() => {
+    const previous = runScheduleRef.current
+    runScheduleRef.current = { allWords, wordStartTimes }
+    if (isTalent || !previous || previous.allWords === allWords || showInput || currentWordIndex < 0 || allWords.length === 0) return
+
+    const running = isPlaying && startTimeRef.current
+    const elapsed = running ? (Date.now() - startTimeRef.current) * playbackRateRef.current : elapsedTime
+    const wordIdx = mapWordIndex(previous.allWords, allWords, currentWordIndex)
+    const sameWord = allWords[wordIdx].text === previous.allWords[currentWordIndex].text
+    const intoWord = sameWord ? elapsed - previous.wordStartTimes[currentWordIndex] : 0
+    const moved = wordStartTimes[wordIdx] + Math.max(0, Math.min(intoWord, wordTimings[wordIdx]))
+
+    passedHoldRef.current = holdIndexes.filter(i => wordStartTimes[i] < moved).pop() ?? -1
+    voiceTrackerRef.current?.reset(wordIdx)
+    voiceMatchRef.current = null
+    setHeldWordIndex(null)
+    setCurrentWordIndex(wordIdx)
+    if (running) {
+      startTimeRef.current = Date.now() - moved / playbackRateRef.current
+    } else {
+      // The paused view scrolls once the new words are laid out
+      setElapsedTime(moved)
+      realignPausedRef.current = layout
+    }
+  }, [isTalent, allWords, wordStartTimes, wordTimings, holdIndexes, showInput, isPlaying, elapsedTime, currentWordIndex, layout])
 
-  const startPlayback = () => {
-    // Measure positions right before starting
-    const positions = measureWordPositions()
-    setWordPositions(positions)
+  useLayoutEffect(() => {
+    if (!realignPausedRef.current || realignPausedRef.current === layout || !layout || isPlaying) return
+    realignPausedRef.current = null
 
-    setCurrentWordIndex(0)
-    setElapsedTime(0)
-    startTimeRef.current = Date.now()
+    const scrollY = getScrollOffset(layout, wordStartTimes, wordTimings, elapsedTime, displayLayout.readingLine)
+    setPausedScrollY(scrollY)
+    if (pausedViewportRef.current) {
+      pausedViewportRef.current.scrollTop = scrollY
+    }
+  }, [layout, wordStartTimes, wordTimings, elapsedTime, displayLayout.readingLine, isPlaying])
+
+  // Listen to the speaker while playing in voice mode (the operator window does the listening)
+  useEffect(() => {
+    if (isTalent || !isPlaying || pacingMode !== 'voice' || allWords.length === 0) return
+
+    const startIndex = startTimeRef.current
+      ? getWordIndexAtTime(getScheduleElapsed(Date.now()))
+      : 0
+    const tracker = createWordTracker(allWords)
+    tracker.reset(startIndex)
+    voiceTrackerRef.current = tracker
+    voiceMatchRef.current = null
+
+    let recognizer
+    try {
+      recognizer = createRecognizer(voiceSource, {
+        lang: navigator.language || 'en-US',
+        allWords,
+        startIndex,
+        onTranscript: ({ transcript }) => {
+          const match = tracker.update(transcript)
+          if (!match) return
+          // Re-anchor the clock so the timed schedule lines up with the spoken word
+          const now = Date.now()
+          anchorClock(wordStartTimes[match.index], now)
+          voiceMatchRef.current = { ...match, at: now }
+        },
+        onError: (err) => {
+          voiceMatchRef.current = null
+          setVoiceError(err.message)
+          setVoiceState('error')
+        }
+      })
+      recognizer.start()
+    } catch (err) {
+      setVoiceError(err.message)
+      setVoiceState('error')
+      return
+    }
+
+    return () => {
+      recognizer.stop()
+      voiceTrackerRef.current = null
+      voiceMatchRef.current = null
+    }
+  }, [isTalent, isPlaying, pacingMode, voiceSource, allWords, wordStartTimes])
+
+  // Begin recording a take (the operator window keeps the take log)
+  const startTake = () => {
+    if (isTalent) return
+    takeRecorderRef.current = createTakeRecorder({
+      scriptId: activeScriptId,
+      scriptName: scripts.find(e => e.id === activeScriptId)?.name || 'Untitled script',
+      number: nextTakeNumberRef.current,
+      plannedMs: scheduleMs,
+      sections: getPlannedSections(sectionBoundaries, wordStartTimes, wordTimings, sectionFeatures)
+    })
+  }
+
+  // Close the current take and keep it, unless nothing was read
+  const finishTake = async (showReport) => {
+    const recorder = takeRecorderRef.current
+    if (!recorder) return
+    takeRecorderRef.current = null
+
+    const take = recorder.finish(actualElapsedRef.current)
+    if (!take.sections.some(section => section.reachedAtMs !== null)) return
+
+    nextTakeNumberRef.current = take.number + 1
+    setTakes(prev => [take, ...prev])
+    if (showReport) setReportTake(take)
+    try {
+      await saveTake(take)
+      if (calibration.enabled) await recalibrate()
+    } catch (err) {
+      console.error('Could not save take:', err)
+    }
+  }
+
+  // Re-learn every reader's coefficients from all stored takes
+  const recalibrate = async () => {
+    const profiles = calibrateProfiles(await listAllTakes())
+    setCalibration(prev => ({ ...prev, profiles }))
+  }
+
+  const handleToggleCalibration = async (enabled) => {
+    setCalibration(prev => ({ ...prev, enabled }))
+    if (enabled) await recalibrate()
+  }
+
+  const startPlayback = (fromWord = 0) => {
+    const startAt = wordStartTimes[fromWord] ?? 0
+    setCurrentWordIndex(fromWord)
+    setElapsedTime(startAt)
+    resetActualElapsed()
+    resetHolds(startAt)
+    anchorClock(startAt, Date.now())
+    startTake()
     setIsPlaying(true)
   }
 
-  const handleStart = () => {
+  // Count down and start the prompter, from the first word or a later one
+  const handleStart = (fromWord = 0) => {
     if (allWords.length === 0) return
     setShowInput(false)
-    setCurrentWordIndex(0)
+    setCurrentWordIndex(fromWord)
+    setElapsedTime(wordStartTimes[fromWord] ?? 0)
+    // Scroll to the word once the script is laid out
+    if (fromWord > 0) realignPausedRef.current = true
     setCountdown(3)
 
-    setTimeout(() => setCountdown(2), 1000)
-    setTimeout(() => setCountdown(1), 2000)
-    setTimeout(() => {
+    const t1 = setTimeout(() => setCountdown(2), 1000)
+    const t2 = setTimeout(() => setCountdown(1), 2000)
+    const t3 = setTimeout(() => {
       setCountdown(null)
       // Small delay to ensure DOM is ready, then measure and start
       requestAnimationFrame(() => {
-        startPlayback()
+        startPlayback(fromWord)
       })
     }, 3000)
+
+    countdownTimeoutsRef.current = [t1, t2, t3]
   }
 
   const cancelCountdown = () => {
@@ -437,16 +1174,28 @@ function App() {
     // Cancel any ongoing countdown
     cancelCountdown()
 
-    // Save current scroll position before pausing
-    if (scrollContentRef.current) {
-      const transform = scrollContentRef.current.style.transform
-      const match = transform.match(/translateY\((-?\d+(?:\.\d+)?)px\)/)
-      if (match) {
-        setPausedScrollY(Math.abs(parseFloat(match[1])))
-      }
+    // Save current scroll position before pausing, and the exact time, which
+    // the animation only keeps in state to the second
+    setPausedScrollY(scrollYRef.current)
+    if (animationRef.current) {
+      setElapsedTime(elapsedRef.current)
+      setActualElapsed(actualElapsedRef.current)
     }
     setIsPlaying(false)
     stopAnimation()
+    takeRecorderRef.current?.pause()
+  }
+
+  // Where to resume: the paused position, unless the view has been scrolled
+  // by hand to another line, then the start of the line on the reading line
+  const getResumeElapsed = () => {
+    const viewport = pausedViewportRef.current
+    if (!layout || !viewport || currentWordIndex < 0) return elapsedTime
+
+    const readingY = viewport.scrollTop + layout.viewportHeight * displayLayout.readingLine
+    const wordIdx = findWordAtOffset(layout, readingY)
+    if (layout.wordRows[wordIdx] === layout.wordRows[currentWordIndex]) return elapsedTime
+    return wordStartTimes[wordIdx]
   }
 
   const handleResume = () => {
@@ -454,15 +1203,15 @@ function App() {
       // Clear any existing timeouts
       cancelCountdown()
 
+      const resumeAt = getResumeElapsed()
+      if (resumeAt !== elapsedTime) seekTo(resumeAt)
+
       // Show countdown before resuming
       setCountdown(3)
 
       // After state updates and DOM re-renders, set the scroll position
-      const scrollTimeout = setTimeout(() => {
-        if (scrollContentRef.current) {
-          scrollContentRef.current.style.transform = `translateY(${-pausedScrollY}px)`
-        }
-      }, 50)
+      const resumeScrollY = layout ? getScrollPositionAtTime(resumeAt) : pausedScrollY
+      const scrollTimeout = setTimeout(() => applyScrollY(resumeScrollY), 50)
 
       const t1 = setTimeout(() => setCountdown(2), 1000)
       const t2 = setTimeout(() => setCountdown(1), 2000)
@@ -470,21 +1219,14 @@ function App() {
         setCountdown(null)
 
         // Adjust start time to account for elapsed time
-        startTimeRef.current = Date.now() - elapsedTime
-
-        // Re-measure positions and snap back to correct scroll position
-        requestAnimationFrame(() => {
-          const positions = measureWordPositions()
-          setWordPositions(positions)
-
-          // Reset scroll position based on elapsed time
-          if (scrollContentRef.current && positions.length > 0) {
-            const scrollY = getScrollPositionAtTime(elapsedTime, positions)
-            scrollContentRef.current.style.transform = `translateY(${-scrollY}px)`
-          }
+        anchorClock(resumeAt, Date.now())
+        takeRecorderRef.current?.resume()
 
-          setIsPlaying(true)
-        })
+        // Snap back to the scroll position for the elapsed time
+        if (layout) {
+          applyScrollY(getScrollPositionAtTime(resumeAt))
+        }
+        setIsPlaying(true)
       }, 3000)
 
       countdownTimeoutsRef.current = [scrollTimeout, t1, t2, t3]
@@ -495,14 +1237,14 @@ function App() {
     // Clear any existing timeouts
     cancelCountdown()
     stopAnimation()
+    finishTake(false)
     setIsPlaying(false)
     setCurrentWordIndex(0)
     setElapsedTime(0)
+    resetActualElapsed()
+    resetHolds()
     setPausedScrollY(0)
-
-    if (scrollContentRef.current) {
-      scrollContentRef.current.style.transform = 'translateY(0)'
-    }
+    applyScrollY(0)
 
     // Show countdown before restarting
     setCountdown(3)
@@ -512,115 +1254,546 @@ function App() {
     const t3 = setTimeout(() => {
       setCountdown(null)
       startTimeRef.current = Date.now()
-
-      // Re-measure and start
-      requestAnimationFrame(() => {
-        const positions = measureWordPositions()
-        setWordPositions(positions)
-        setIsPlaying(true)
-      })
+      startTake()
+      setIsPlaying(true)
     }, 3000)
 
     countdownTimeoutsRef.current = [t1, t2, t3]
   }
 
   const handleExit = () => {
+    cancelCountdown()
+    finishTake(true)
     setIsPlaying(false)
     setCurrentWordIndex(-1)
     setElapsedTime(0)
     setShowInput(true)
-    setWordPositions([])
+    setLayout(null)
     setPausedScrollY(0)
     stopAnimation()
     startTimeRef.current = null
+    applyScrollY(0)
+    playbackRateRef.current = 1
+    setPlaybackRate(1)
+    resetActualElapsed()
+    resetHolds()
+  }
 
-    if (scrollContentRef.current) {
-      scrollContentRef.current.style.transform = 'translateY(0)'
+  // Current position in the schedule, whether playing or paused
+  const getCurrentElapsed = () => {
+    return isPlaying && startTimeRef.current ? getScheduleElapsed(Date.now()) : elapsedTime
+  }
+
+  // Index of the section containing a word
+  const getSectionIndex = (wordIdx) => {
+    const idx = sectionBoundaries.findIndex(s => wordIdx >= s.startIndex && wordIdx <= s.endIndex)
+    return Math.max(0, idx)
+  }
+
+  // Move playback to a point in the schedule, keeping the play/pause state
+  const seekTo = (elapsed) => {
+    if (showInput || allWords.length === 0) return
+
+    const clamped = Math.max(0, Math.min(elapsed, scheduleMs))
+    const wordIdx = Math.min(getWordIndexAtTime(clamped), allWords.length - 1)
+    voiceTrackerRef.current?.reset(wordIdx)
+    voiceMatchRef.current = null
+    resetHolds(clamped)
+
+    if (isPlaying) {
+      anchorClock(clamped, Date.now())
+      return
+    }
+
+    // Paused: move the position that resume will continue from
+    const scrollY = getScrollPositionAtTime(clamped)
+    setElapsedTime(clamped)
+    setCurrentWordIndex(wordIdx)
+    setPausedScrollY(scrollY)
+    if (pausedViewportRef.current) {
+      pausedViewportRef.current.scrollTop = scrollY
     }
   }
 
-  // Esc key to go back to input
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      if (e.key === 'Escape' && !showInput) {
-        handleExit()
-      }
+  // Scroll to the saved position when the paused viewport mounts
+  const attachPausedViewport = useCallback((el) => {
+    pausedViewportRef.current = el
+    if (el && pausedScrollY > 0) {
+      el.scrollTop = pausedScrollY
     }
+  }, [pausedScrollY])
 
-    window.addEventListener('keydown', handleKeyDown)
-    return () => window.removeEventListener('keydown', handleKeyDown)
-  }, [showInput])
+  const handleNudge = (seconds) => {
+    seekTo(getCurrentElapsed() + seconds * 1000)
+  }
 
-  const formatTime = (ms) => {
-    const totalSeconds = Math.floor(ms / 1000)
-    const minutes = Math.floor(totalSeconds / 60)
-    const seconds = totalSeconds % 60
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`
+  // Jump to a section by index, or to the 'next' / 'prev' one
+  const handleJumpToSection = (target) => {
+    if (sectionBoundaries.length === 0) return
+
+    const current = getSectionIndex(Math.max(0, currentWordIndex))
+    const index = target === 'next' ? current + 1
+      : target === 'prev' ? current - 1
+      : target
+    const section = sectionBoundaries[Math.max(0, Math.min(index, sectionBoundaries.length - 1))]
+    seekTo(wordStartTimes[section.startIndex])
   }
 
-  // Render words grouped by section
-  const renderWords = () => {
-    const elements = []
+  // Change the playback speed without moving the current position: the clock
+  // is re-anchored at the current schedule time, so only the words still
+  // ahead play faster or slower
+  const handleSetSpeed = (multiplier) => {
+    const now = Date.now()
+    const elapsed = getCurrentElapsed()
+    const rate = Math.round(Math.min(MAX_SPEED, Math.max(MIN_SPEED, multiplier)) * 100) / 100
+    if (rate !== playbackRateRef.current) takeRecorderRef.current?.markReaderPaced()
+    playbackRateRef.current = rate
+    setPlaybackRate(rate)
+    if (isPlaying && startTimeRef.current) {
+      anchorClock(elapsed, now)
+    }
+  }
 
-    sectionBoundaries.forEach((section, sectionIdx) => {
-      const speakerColor = section.speaker ? getSpeakerColor(section.speaker) : '#646cff'
+  const handleChangeSpeed = (delta) => {
+    handleSetSpeed(playbackRateRef.current + delta)
+  }
 
-      // Add speaker divider
-      if (sectionIdx > 0 && section.speaker) {
-        elements.push(
-          <div key={`divider-${sectionIdx}`} className="speaker-divider">
-            <span className="speaker-name" style={{ color: speakerColor }}>{section.speaker}</span>
-          </div>
-        )
-      }
+  const handleTogglePlay = () => {
+    if (showInput) handleStart()
+    else if (heldWordIndex !== null && isPlaying) handleContinue()
+    else if (isPlaying || countdown !== null) handlePause()
+    else handleResume()
+  }
 
-      if (sectionIdx === 0 && section.speaker) {
-        elements.push(
-          <div key={`speaker-${sectionIdx}`} className="speaker-divider first">
-            <span className="speaker-name" style={{ color: speakerColor }}>{section.speaker}</span>
-          </div>
-        )
+  // Move to a word, keeping the play/pause state
+  const seekToWord = (wordIdx) => {
+    const idx = Math.max(0, Math.min(wordIdx, allWords.length - 1))
+    seekTo(wordStartTimes[idx])
+  }
+
+  // First word of the line containing a word (lines also start at each section)
+  const getLineStart = (wordIdx) => {
+    let idx = wordIdx
+    while (idx > 0 && !allWords[idx].isLineStart && getSectionIndex(idx) === getSectionIndex(idx - 1)) {
+      idx--
+    }
+    return idx
+  }
+
+  const handleStepWord = (direction) => {
+    seekToWord(Math.max(0, currentWordIndex) + direction)
+  }
+
+  const handleStepLine = (direction) => {
+    const lineStart = getLineStart(Math.max(0, currentWordIndex))
+    if (direction < 0) {
+      seekToWord(lineStart > 0 ? getLineStart(lineStart - 1) : 0)
+      return
+    }
+    let idx = Math.max(0, currentWordIndex) + 1
+    while (idx < allWords.length && getLineStart(idx) !== idx) idx++
+    seekToWord(idx)
+  }
+
+  // Jump to the next or previous section whose speaker differs from the current one
+  const handleStepSpeaker = (direction) => {
+    const current = getSectionIndex(Math.max(0, currentWordIndex))
+    const speaker = sectionBoundaries[current]?.speaker
+    let idx = current + direction
+    while (idx >= 0 && idx < sectionBoundaries.length && sectionBoundaries[idx].speaker === speaker) {
+      idx += direction
+    }
+    if (idx < 0 || idx >= sectionBoundaries.length) return
+    // Going back lands on the start of that speaker's run of sections
+    while (direction < 0 && idx > 0 && sectionBoundaries[idx - 1].speaker === sectionBoundaries[idx].speaker) {
+      idx--
+    }
+    handleJumpToSection(idx)
+  }
+
+  // Map remote-control commands onto the playback handlers
+  const handleRemoteCommand = ({ command, ...args }) => {
+    const running = isPlaying || countdown !== null
+    switch (command) {
+      case 'play':
+        if (showInput) handleStart()
+        else if (!running) handleResume()
+        break
+      case 'pause':
+        if (running) handlePause()
+        break
+      case 'resume':
+        if (!showInput && !running) handleResume()
+        break
+      case 'toggle':
+        handleTogglePlay()
+        break
+      case 'continue':
+        handleContinue()
+        break
+      case 'restart':
+        if (!showInput) handleRestart()
+        break
+      case 'exit':
+        if (!showInput) handleExit()
+        break
+      case 'jump-section':
+        handleJumpToSection(args.section)
+        break
+      case 'nudge':
+        handleNudge(args.seconds)
+        break
+      case 'set-speed':
+        handleSetSpeed(args.multiplier)
+        break
+    }
+  }
+
+  // Follow the operator's playback snapshot in the talent window
+  const applyRemoteState = (state) => {
+    setCountdown(state.countdown)
+    operatorHoldRef.current = state.heldWordIndex ?? null
+    setHeldWordIndex(state.heldWordIndex ?? null)
+    setCurrentWordIndex(state.currentWordIndex)
+    setElapsedTime(state.elapsed)
+
+    playbackRateRef.current = state.playbackRate
+    setPlaybackRate(state.playbackRate)
+
+    if (state.phase === 'playing') {
+      startTimeRef.current = state.startTime
+      setIsPlaying(true)
+      return
+    }
+
+    setIsPlaying(false)
+    stopAnimation()
+    if (state.phase === 'idle') {
+      startTimeRef.current = null
+      setPausedScrollY(0)
+      applyScrollY(0)
+    } else {
+      setPausedScrollY(state.scrollY)
+      applyScrollY(state.scrollY)
+    }
+  }
+
+  // Talent window: messages from the operator
+  const handleSyncMessage = (message) => {
+    if (message.type === 'script') applyScriptFields(message.fields)
+    if (message.type === 'state') applyRemoteState(message.state)
+  }
+
+  const syncChannelRef = useRef(null)
+  const lastSyncStateRef = useRef(null)
+  const lastScriptFieldsRef = useRef(null)
+  const syncMessageHandlerRef = useRef(null)
+  const remoteCommandHandlerRef = useRef(null)
+  const remoteControlRef = useRef(null)
+  const collabRef = useRef(null)
+  const collabTextHandlerRef = useRef(null)
+  const latestScriptRef = useRef(script)
+  const pendingSelectionRef = useRef(null)
+
+  const keyDownHandlerRef = useRef(null)
+  const layoutHandlerRef = useRef(null)
+  const wordClickHandlerRef = useRef(null)
+
+  // Stable callback for the script view, calling the latest layout handler
+  const handleLayout = useCallback((next) => {
+    if (layoutHandlerRef.current) layoutHandlerRef.current(next)
+    else setLayout(next)
+  }, [])
+
+  // Clicking a word in the playback view seeks to it
+  const handleWordClick = useCallback((wordIdx) => {
+    wordClickHandlerRef.current?.(wordIdx)
+  }, [])
+
+  // Remote control over the local WebSocket bridge (operator window only)
+  useEffect(() => {
+    if (isTalent || !remoteSettings.enabled) return
+
+    const remote = connectRemoteControl(remoteSettings.url, {
+      token: remoteSettings.token,
+      onCommand: (command) => remoteCommandHandlerRef.current?.(command),
+      onStatus: setRemoteStatus
+    })
+    remoteControlRef.current = remote
+
+    return () => {
+      remote.close()
+      remoteControlRef.current = null
+    }
+  }, [isTalent, remoteSettings.enabled, remoteSettings.url, remoteSettings.token])
+
+  // Collaborative editing through the sync server (operator window only)
+  useEffect(() => {
+    if (isTalent || !collabSettings.enabled || !libraryReady) return
+
+    const collab = connectCollab(collabSettings.url, {
+      token: collabSettings.token,
+      room: collabSettings.room.trim(),
+      name: collabSettings.name.trim(),
+      text: latestScriptRef.current,
+      onText: (text, operation) => collabTextHandlerRef.current?.(text, operation),
+      onPeers: setCollabPeers,
+      onStatus: setCollabStatus
+    })
+    collabRef.current = collab
+
+    return () => {
+      collab.close()
+      collabRef.current = null
+    }
+  }, [isTalent, libraryReady, collabSettings.enabled, collabSettings.url, collabSettings.token, collabSettings.room, collabSettings.name])
+
+  // Let the room know when this window is running the prompter
+  useEffect(() => {
+    collabRef.current?.setPresence({ running: !showInput })
+  }, [showInput, collabStatus])
+
+  // Put the caret back where it was around someone else's edit
+  useLayoutEffect(() => {
+    const selection = pendingSelectionRef.current
+    pendingSelectionRef.current = null
+    if (selection && scriptInputRef.current) {
+      scriptInputRef.current.setSelectionRange(selection.start, selection.end, selection.direction)
+    }
+  }, [script])
+
+  // Someone else's edit to the script. The new text goes through the parser
+  // like any other change; a run in progress stays on its word (see below).
+  const handleCollabText = (text, operation) => {
+    const textarea = scriptInputRef.current
+    if (textarea && document.activeElement === textarea) {
+      pendingSelectionRef.current = {
+        start: transformIndex(textarea.selectionStart, operation),
+        end: transformIndex(textarea.selectionEnd, operation),
+        direction: textarea.selectionDirection
       }
+    }
+    setScript(text)
+  }
 
-      const sectionWords = []
-      for (let i = section.startIndex; i <= section.endIndex; i++) {
-        const word = allWords[i]
-        const isCurrent = i === currentWordIndex
-        const isPast = i < currentWordIndex
-
-        const wordStyle = isCurrent ? { backgroundColor: speakerColor } : {}
-
-        sectionWords.push(
-          <span key={i}>
-            {word.isLineStart && <br />}
-            <span
-              data-word-index={i}
-              className={`word ${
-                isCurrent ? 'current' :
-                isPast ? 'past' :
-                'future'
-              } ${word.bold ? 'bold' : ''} ${word.italic ? 'italic' : ''}`}
-              style={wordStyle}
-            >
-              {word.text}
-            </span>
-            {' '}
-          </span>
-        )
+  const handleScriptInput = (e) => {
+    setScript(e.target.value)
+    collabRef.current?.update(e.target.value)
+  }
+
+  const handleScriptSelect = (e) => {
+    const { selectionStart, selectionEnd, selectionDirection } = e.target
+    const backward = selectionDirection === 'backward'
+    collabRef.current?.setPresence({
+      selection: { anchor: backward ? selectionEnd : selectionStart, head: backward ? selectionStart : selectionEnd }
+    })
+  }
+
+  // Operator and talent windows talk over a BroadcastChannel
+  useEffect(() => {
+    const channel = createSyncChannel((message) => {
+      if (isTalent) {
+        syncMessageHandlerRef.current?.(message)
+      } else if (message.type === 'hello') {
+        setTalentConnected(true)
+        if (lastScriptFieldsRef.current) {
+          channel.post({ type: 'script', fields: lastScriptFieldsRef.current })
+        }
+        if (lastSyncStateRef.current) {
+          channel.post({ type: 'state', state: lastSyncStateRef.current })
+        }
+      } else if (message.type === 'bye') {
+        setTalentConnected(false)
       }
+    })
+    syncChannelRef.current = channel
 
-      elements.push(
-        <div key={`section-${sectionIdx}`} className="section">
-          {sectionWords}
-        </div>
-      )
+    const handleUnload = () => channel.post({ type: 'bye' })
+    if (isTalent) {
+      channel.post({ type: 'hello' })
+      window.addEventListener('beforeunload', handleUnload)
+    }
+
+    return () => {
+      window.removeEventListener('beforeunload', handleUnload)
+      channel.close()
+      syncChannelRef.current = null
+    }
+  }, [isTalent])
+
+  // Send the active script to the talent window, which has no library of its own
+  useEffect(() => {
+    if (isTalent) return
+    lastScriptFieldsRef.current = scriptFields
+    syncChannelRef.current?.post({ type: 'script', fields: scriptFields })
+  }, [isTalent, scriptFields])
+
+  // Broadcast the operator's playback state to the talent window and remote controllers
+  useEffect(() => {
+    if (isTalent) return
+
+    const phase = showInput ? 'idle' : countdown !== null ? 'countdown' : isPlaying ? 'playing' : 'paused'
+    const state = {
+      phase,
+      countdown,
+      startTime: startTimeRef.current,
+      elapsed: elapsedTime,
+      currentWordIndex,
+      scrollY: isPlaying ? scrollYRef.current : pausedScrollY,
+      playbackRate,
+      heldWordIndex
+    }
+    lastSyncStateRef.current = state
+    syncChannelRef.current?.post({ type: 'state', state })
+
+    const section = sectionBoundaries.findIndex(s => currentWordIndex >= s.startIndex && currentWordIndex <= s.endIndex)
+    remoteControlRef.current?.sendState({
+      phase,
+      elapsed: elapsedTime,
+      currentWordIndex,
+      section,
+      speaker: sectionBoundaries[section]?.speaker ?? null,
+      playbackRate,
+      held: heldWordIndex !== null
     })
+  }, [isTalent, showInput, countdown, isPlaying, elapsedTime, currentWordIndex, pausedScrollY, playbackRate, heldWordIndex, sectionBoundaries])
+
+  const openTalentWindow = () => {
+    window.open(getTalentWindowUrl(), 'teleprompter-talent', 'popup,width=1280,height=720')
+  }
+
+  // Talent window: click anywhere to toggle full-screen
+  useEffect(() => {
+    if (!isTalent) return
+    const handleChange = () => setIsFullscreen(Boolean(document.fullscreenElement))
+    document.addEventListener('fullscreenchange', handleChange)
+    return () => document.removeEventListener('fullscreenchange', handleChange)
+  }, [isTalent])
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen()
+    } else {
+      document.documentElement.requestFullscreen?.()
+    }
+  }
+
+  const shortcutHandlers = {
+    togglePlay: handleTogglePlay,
+    continue: handleContinue,
+    restart: handleRestart,
+    exit: handleExit,
+    prevWord: () => handleStepWord(-1),
+    nextWord: () => handleStepWord(1),
+    prevLine: () => handleStepLine(-1),
+    nextLine: () => handleStepLine(1),
+    prevSection: () => handleJumpToSection('prev'),
+    nextSection: () => handleJumpToSection('next'),
+    prevSpeaker: () => handleStepSpeaker(-1),
+    nextSpeaker: () => handleStepSpeaker(1),
+    faster: () => handleChangeSpeed(SPEED_STEP),
+    slower: () => handleChangeSpeed(-SPEED_STEP),
+    resetSpeed: () => handleSetSpeed(1),
+    help: () => setShowShortcuts(prev => !prev)
+  }
+
+  // Tooltip suffix naming the first key bound to an action
+  const shortcutHint = (action) => {
+    const combo = keymap[action]?.[0]
+    return combo ? ` (${formatKeyCombo(combo)})` : ''
+  }
+
+  // Playback shortcuts from the configurable keymap
+  const handleKeyDown = (e) => {
+    // Esc closes the help overlay before it exits playback
+    if (showShortcuts && e.key === 'Escape') {
+      setShowShortcuts(false)
+      return
+    }
+
+    if (reportTake && e.key === 'Escape') {
+      setReportTake(null)
+      return
+    }
+
+    if (compareVersion && e.key === 'Escape') {
+      setCompareVersion(null)
+      return
+    }
+
+    if (showInput || isTalent || isTypingTarget(e.target)) return
 
-    return elements
+    const action = findAction(keymap, getKeyCombo(e))
+    if (!action) return
+    e.preventDefault()
+    shortcutHandlers[action]()
   }
 
+  // Window-level listeners call through refs so they always see the latest handlers
+  useEffect(() => {
+    syncMessageHandlerRef.current = handleSyncMessage
+    remoteCommandHandlerRef.current = handleRemoteCommand
+    keyDownHandlerRef.current = handleKeyDown
+    layoutHandlerRef.current = applyLayout
+    wordClickHandlerRef.current = seekToWord
+    collabTextHandlerRef.current = handleCollabText
+    latestScriptRef.current = script
+    shownPlaybackRef.current = { elapsedTime, currentWordIndex, renderBand, voiceState }
+  })
+
+  useEffect(() => {
+    const onKeyDown = (e) => keyDownHandlerRef.current?.(e)
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [])
+
+  // Projected finish: real time so far plus the rest of the schedule at the current speed
+  const projectedFinishMs = actualElapsed + Math.max(0, scheduleMs - elapsedTime) / playbackRate
+  const finishDeltaMs = projectedFinishMs - scheduleMs
+  const finishDeltaLabel = formatDuration(finishDeltaMs, { signed: true })
+
+  // While rehearsing with the countdown, time left until the performer's next line
+  const rehearsalWaitMs = nextOwnWords && rehearsal.countdown && currentWordIndex >= 0 &&
+    rehearsalRoles[currentWordIndex] !== 'own' && nextOwnWords[currentWordIndex] >= 0
+    ? Math.max(0, wordStartTimes[nextOwnWords[currentWordIndex]] - elapsedTime)
+    : null
+
+  const scriptView = (
+    <ScriptView
+      allWords={playbackWords}
+      sectionBoundaries={sectionBoundaries}
+      sectionColors={sectionColors}
+      sectionDirections={sectionDirections}
+      currentWordIndex={currentWordIndex}
+      heldWordIndex={heldWordIndex}
+      band={renderBand}
+      displayLayout={displayLayout}
+      highlight={readingGuide.highlight}
+      onLayout={handleLayout}
+      onWordClick={isTalent ? undefined : handleWordClick}
+    />
+  )
+
   return (
     <div className="app">
+      {showShortcuts && (
+        <ShortcutHelp
+          keymap={keymap}
+          onChange={updateShortcut}
+          onReset={() => setKeymap(DEFAULT_KEYMAP)}
+          onClose={() => setShowShortcuts(false)}
+        />
+      )}
+      {reportTake && <TakeReport take={reportTake} onClose={() => setReportTake(null)} />}
+      {compareVersion && (
+        <VersionDiff
+          versions={versions}
+          currentFields={scriptFields}
+          initialId={compareVersion.id}
+          onRestore={handleRestoreVersion}
+          onClose={() => setCompareVersion(null)}
+        />
+      )}
       {showInput ? (
         <div className="input-container">
           <div className="sidebar">
@@ -629,6 +1802,46 @@ function App() {
                 <div className="sidebar-content">
                   <h1>Teleprompter</h1>
 
+                  <ScriptLibrary
+                    scripts={scripts}
+                    activeId={activeScriptId}
+                    onSelect={handleSelectScript}
+                    onCreate={handleCreateScript}
+                    onRename={handleRenameScript}
+                    onDuplicate={handleDuplicateScript}
+                    onDelete={handleDeleteScript}
+                  />
+
+                  <div className="import-section">
+                    <label className="secondary-button">
+                      <FileUp size={16} />
+                      Import file…
+                      <input
+                        type="file"
+                        accept={`${IMPORT_ACCEPT},${PROJECT_ACCEPT}`}
+                        multiple
+                        hidden
+                        onChange={(e) => {
+                          handleImportFiles(Array.from(e.target.files))
+                          e.target.value = ''
+                        }}
+                      />
+                    </label>
+                    <div className="project-buttons">
+                      <button className="secondary-button" onClick={handleExportProject}>
+                        <FileDown size={16} />
+                        Export project
+                      </button>
+                      <button className="secondary-button" onClick={handleCopyShareLink}>
+                        <Link size={16} />
+                        Copy share link
+                      </button>
+                    </div>
+                    {importMessage && (
+                      <span className={`import-message ${importMessage.type}`}>{importMessage.text}</span>
+                    )}
+                  </div>
+
                   <div className="stats">
                     <span>Words: {totalWords}</span>
                   </div>
@@ -665,6 +1878,174 @@ function App() {
                     </div>
                   )}
 
+                  <SectionBudgets
+                    stats={sectionStats}
+                    targetTimeMs={targetTimeMs}
+                    scheduleMs={scheduleMs}
+                    getSpeakerColor={getSpeakerColor}
+                  />
+
+                  {totalWords > 0 && (
+                    <div className="export-section">
+                      <label>Export timing:</label>
+                      <div className="export-row">
+                        <select
+                          value={captionGrouping}
+                          onChange={(e) => setCaptionGrouping(e.target.value)}
+                          aria-label="Caption grouping"
+                        >
+                          <option value="sentence">Captions per sentence</option>
+                          <option value="line">Captions per line</option>
+                        </select>
+                      </div>
+                      <div className="export-row">
+                        <button className="secondary-button" onClick={() => handleExport('srt')}>SRT</button>
+                        <button className="secondary-button" onClick={() => handleExport('vtt')}>WebVTT</button>
+                        <button className="secondary-button" onClick={() => handleExport('json')}>Cue sheet</button>
+                      </div>
+                    </div>
+                  )}
+
+                  <TakeLog
+                    takes={takes}
+                    onOpen={setReportTake}
+                    onExport={handleExportTakes}
+                    onClear={handleClearTakes}
+                  />
+
+                  <ScriptHistory
+                    versions={versions}
+                    onSaveCheckpoint={handleSaveCheckpoint}
+                    onCompare={setCompareVersion}
+                    onRestore={handleRestoreVersion}
+                  />
+
+                  <div className="pacing-section">
+                    <label htmlFor="pacing-mode">Pacing:</label>
+                    <select
+                      id="pacing-mode"
+                      value={pacingMode}
+                      onChange={(e) => setPacingMode(e.target.value)}
+                    >
+                      <option value="timed">Fixed clock (target time)</option>
+                      <option value="voice">Follow my voice</option>
+                    </select>
+                    {pacingMode === 'voice' && (
+                      <>
+                        <select
+                          value={voiceSource}
+                          onChange={(e) => setVoiceSource(e.target.value)}
+                          aria-label="Transcript source"
+                        >
+                          {Object.entries(recognizerSources).map(([key, source]) => (
+                            <option key={key} value={key} disabled={!source.isSupported()}>
+                              {source.label}
+                            </option>
+                          ))}
+                        </select>
+                        <span className="pacing-hint">
+                          Falls back to the timed schedule when your voice isn't recognized.
+                        </span>
+                      </>
+                    )}
+                  </div>
+
+                  <div className="timing-section">
+                    <label htmlFor="timing-language">Timing model:</label>
+                    <select
+                      id="timing-language"
+                      value={language}
+                      onChange={(e) => setLanguage(e.target.value)}
+                    >
+                      {TIMING_LANGUAGES.map(option => (
+                        <option key={option.id} value={option.id}>{option.label}</option>
+                      ))}
+                    </select>
+                    <label className="checkbox-row">
+                      <input
+                        type="checkbox"
+                        checked={calibration.enabled}
+                        onChange={(e) => handleToggleCalibration(e.target.checked)}
+                      />
+                      Calibrate from takes
+                    </label>
+                    {calibration.enabled && (
+                      <div className="calibration-info">
+                        {Object.keys(calibration.profiles).length === 0 ? (
+                          <span>Record a few takes with voice pacing to learn how each speaker reads.</span>
+                        ) : (
+                          <ul className="calibration-profiles">
+                            {Object.entries(calibration.profiles).map(([key, profile]) => (
+                              <li key={key}>
+                                {key || 'No speaker'}: {profile.samples} sections
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                        <span>Timed takes only count where the speed was changed; elsewhere they just follow the plan.</span>
+                        {calibratedMs !== null && totalWords > 0 && (
+                          <span>At your calibrated pace this script takes about {formatDuration(calibratedMs)}.</span>
+                        )}
+                        <button className="secondary-button" onClick={() => setCalibration({ enabled: true, profiles: {} })}>
+                          Reset calibration
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="direction-section">
+                    <label htmlFor="text-direction">Text direction:</label>
+                    <select
+                      id="text-direction"
+                      value={direction}
+                      onChange={(e) => setDirection(e.target.value)}
+                    >
+                      {TEXT_DIRECTIONS.map(option => (
+                        <option key={option.id} value={option.id}>{option.label}</option>
+                      ))}
+                    </select>
+                    <span className="pacing-hint">
+                      Put [rtl] or [ltr] in a section to set its direction on its own.
+                    </span>
+                  </div>
+
+                  <div className="display-section">
+                    <label>Display:</label>
+                    <label className="checkbox-row">
+                      <input
+                        type="checkbox"
+                        checked={displayTransform.mirrorX}
+                        onChange={(e) => updateDisplayTransform({ mirrorX: e.target.checked })}
+                      />
+                      Mirror horizontally
+                    </label>
+                    <label className="checkbox-row">
+                      <input
+                        type="checkbox"
+                        checked={displayTransform.flipY}
+                        onChange={(e) => updateDisplayTransform({ flipY: e.target.checked })}
+                      />
+                      Flip vertically
+                    </label>
+                    <div className="rotation-row">
+                      <span>Rotation</span>
+                      <select
+                        value={displayTransform.rotation}
+                        onChange={(e) => updateDisplayTransform({ rotation: parseInt(e.target.value) })}
+                      >
+                        {ROTATIONS.map(deg => (
+                          <option key={deg} value={deg}>{deg}°</option>
+                        ))}
+                      </select>
+                    </div>
+                    <DisplayLayoutControls value={displayLayout} onChange={updateDisplayLayout} />
+                    <ReadingGuideControls value={readingGuide} onChange={updateReadingGuide} />
+                  </div>
+
+                  {speakers.length > 0 && (
+                    <RehearsalControls value={rehearsal} speakers={speakers} onChange={updateRehearsal} />
+                  )}
+
                   {speakers.length > 0 && (
                     <div className="speaker-settings">
                       <label>Speakers:</label>
@@ -719,9 +2100,63 @@ function App() {
                     </div>
                   )}
 
+                  <div className="remote-section">
+                    <label className="checkbox-row">
+                      <input
+                        type="checkbox"
+                        checked={remoteSettings.enabled}
+                        onChange={(e) => setRemoteSettings(prev => ({ ...prev, enabled: e.target.checked }))}
+                      />
+                      Remote control
+                    </label>
+                    {remoteSettings.enabled && (
+                      <>
+                        <input
+                          type="text"
+                          className="remote-url"
+                          value={remoteSettings.url}
+                          onChange={(e) => setRemoteSettings(prev => ({ ...prev, url: e.target.value }))}
+                          aria-label="Remote bridge URL"
+                        />
+                        <input
+                          type="text"
+                          className="remote-url"
+                          value={remoteSettings.token}
+                          onChange={(e) => setRemoteSettings(prev => ({ ...prev, token: e.target.value.trim() }))}
+                          placeholder="Pairing token"
+                          aria-label="Remote bridge pairing token"
+                        />
+                        <span className={`remote-status ${remoteStatus}`}>
+                          {remoteStatus === 'unauthorized' ? 'Bridge rejected the pairing token' : `Bridge ${remoteStatus}`}
+                        </span>
+                      </>
+                    )}
+                  </div>
+
+                  <CollabControls
+                    value={collabSettings}
+                    status={collabStatus}
+                    peers={collabPeers}
+                    onChange={(update) => setCollabSettings(prev => ({ ...prev, ...update }))}
+                  />
+
+                  <div className="talent-window-section">
+                    <button className="secondary-button" onClick={() => setShowShortcuts(true)}>
+                      <Keyboard size={16} />
+                      Keyboard shortcuts
+                    </button>
+                    <button className="secondary-button" onClick={openTalentWindow}>
+                      <MonitorUp size={16} />
+                      Open talent window
+                    </button>
+                    <span className={`talent-status ${talentConnected ? 'connected' : ''}`}>
+                      {talentConnected ? 'Talent window connected' : 'No talent window'}
+                    </span>
+                  </div>
+
                   <button
                     className="start-button"
-                    onClick={handleStart}
+                    onClick={() => handleStart()}
                     disabled={totalWords === 0}
                   >
                     Start Teleprompter
@@ -734,13 +2169,33 @@ function App() {
             </ScrollArea.Root>
           </div>
 
-          <div className="editor-panel">
+          <div
+            className={`editor-panel ${isDraggingFile ? 'drag-over' : ''}`}
+            onDragOver={handleDragOver}
+            onDragLeave={() => setIsDraggingFile(false)}
+            onDrop={handleDrop}
+          >
+            {isDraggingFile && (
+              <div className="drop-overlay">Drop to import (.txt, .md, .docx, .srt, .vtt, .fountain, .prompt.json)</div>
+            )}
+            <CollabPresence
+              peers={collabPeers}
+              script={script}
+              onSelectLine={(line) => scriptInputRef.current && selectTextareaLine(scriptInputRef.current, line)}
+            />
             <ScrollArea.Root className="scroll-area-root">
               <ScrollArea.Viewport className="scroll-area-viewport">
-                <textarea
-                  id="script"
+                <ScriptEditor
+                  textareaRef={scriptInputRef}
                   value={script}
-                  onChange={(e) => setScript(e.target.value)}
+                  readOnly={!libraryReady}
+                  onChange={handleScriptInput}
+                  onSelect={handleScriptSelect}
+                  direction={direction}
+                  lineTimings={lineTimings}
+                  problems={lintProblems}
+                  getSpeakerColor={getSpeakerColor}
+                  onStartAtLine={(line) => handleStart(lineTimings.get(line).wordIndex)}
                   placeholder={`Enter your script here...
 
 Use [Speaker]: to mark speaker sections, e.g.:
@@ -756,66 +2211,149 @@ And I'm Mark...`}
                 <ScrollArea.Thumb className="scroll-area-thumb" />
               </ScrollArea.Scrollbar>
             </ScrollArea.Root>
+            <ScriptLint
+              problems={lintProblems}
+              maxWpm={maxWpm}
+              onChangeMaxWpm={setMaxWpm}
+              onSelectLine={(line) => scriptInputRef.current && selectTextareaLine(scriptInputRef.current, line)}
+            />
           </div>
         </div>
       ) : (
-        <div className="teleprompter-container">
+        <div
+          className={`teleprompter-container ${isTalent ? 'talent' : ''}`}
+          onDoubleClick={isTalent ? toggleFullscreen : undefined}
+        >
+          {isTalent && !isFullscreen && !isPlaying && countdown === null && (
+            <div className="talent-hint">Double-click for full-screen · Waiting for the operator</div>
+          )}
           {countdown !== null && (
             <div className="countdown-overlay">
-              <span key={countdown} className="countdown-number">{countdown}</span>
+              <div style={{ transform: getDisplayTransformCSS({ ...displayTransform, rotation: 0 }) }}>
+                <span key={countdown} className="countdown-number">{countdown}</span>
+              </div>
             </div>
           )}
-          <div className="teleprompter-header">
-            <span className="timer">{formatTime(elapsedTime)} / {formatTime(targetTimeMs)}</span>
-            <span className="progress">{Math.max(0, currentWordIndex + 1)}/{totalWords}</span>
-            <span className="wpm-display">{averageWPM} WPM</span>
-            <div className="controls">
-              {isPlaying || countdown !== null ? (
-                <button onClick={handlePause} title="Pause">
-                  <Pause size={16} />
+          {!isTalent && (
+            <div className="teleprompter-header">
+              <span className="timer">{formatDuration(elapsedTime)} / {formatDuration(scheduleMs)}</span>
+              <Timeline
+                elapsed={elapsedTime}
+                duration={scheduleMs}
+                markers={timelineMarkers}
+                onSeek={seekTo}
+              />
+              <span className="progress">{Math.max(0, currentWordIndex + 1)}/{totalWords}</span>
+              <span className="wpm-display">{averageWPM} WPM</span>
+              {rehearsalRoles && <span className="rehearsal-status">Rehearsing {rehearsal.speaker}</span>}
+              <span
+                className={`finish-display ${Math.abs(finishDeltaMs) < 1000 ? 'on-time' : finishDeltaMs > 0 ? 'over' : 'under'}`}
+                title="Projected finish compared with the target time"
+              >
+                Finish {formatDuration(projectedFinishMs)} ({finishDeltaLabel})
+              </span>
+              <Popover.Root>
+                <Popover.Trigger asChild>
+                  <button className="layout-trigger" title="Text layout and reading guide">
+                    <Type size={14} />
+                  </button>
+                </Popover.Trigger>
+                <Popover.Portal>
+                  <Popover.Content className="color-popover layout-popover" sideOffset={5}>
+                    <DisplayLayoutControls value={displayLayout} onChange={updateDisplayLayout} />
+                    <ReadingGuideControls value={readingGuide} onChange={updateReadingGuide} />
+                    <Popover.Arrow className="color-popover-arrow" />
+                  </Popover.Content>
+                </Popover.Portal>
+              </Popover.Root>
+              <div className="speed-controls">
+                <button onClick={() => handleChangeSpeed(-SPEED_STEP)} title={`Slower${shortcutHint('slower')}`}>
+                  <Minus size={14} />
                 </button>
-              ) : (
-                <button onClick={handleResume} title="Resume">
-                  <Play size={16} />
+                <button
+                  className={`speed-display ${playbackRate !== 1 ? 'changed' : ''}`}
+                  onClick={() => handleSetSpeed(1)}
+                  title={`Reset speed${shortcutHint('resetSpeed')}`}
+                >
+                  {playbackRate.toFixed(2)}x
                 </button>
+                <button onClick={() => handleChangeSpeed(SPEED_STEP)} title={`Faster${shortcutHint('faster')}`}>
+                  <Plus size={14} />
+                </button>
+              </div>
+              {talentConnected && <span className="talent-status connected">Talent view live</span>}
+              {remoteSettings.enabled && (
+                <span className={`remote-status ${remoteStatus}`}>Remote {remoteStatus}</span>
               )}
-              <button onClick={handleRestart} title="Restart">
-                <RotateCcw size={16} />
-              </button>
-              <button onClick={handleExit} className="exit-btn" title="Exit (Esc)">
-                <X size={16} />
-              </button>
-            </div>
-          </div>
-
-          {isPlaying || countdown !== null ? (
-            <div className="word-display playing" ref={wordDisplayRef}>
-              <div className="scroll-content" ref={scrollContentRef}>
-                {renderWords()}
+              {pacingMode === 'voice' && (
+                <span className={`voice-status ${isPlaying ? voiceState : 'idle'}`}>
+                  {!isPlaying ? 'Voice idle'
+                    : voiceState === 'locked' ? 'Following voice'
+                      : voiceState === 'error' ? `Timed fallback: ${voiceError}`
+                        : 'Timed fallback'}
+                </span>
+              )}
+              <div className="controls">
+                {heldWordIndex !== null && isPlaying && (
+                  <button className="continue-btn" onClick={handleContinue} title={`Continue past hold${shortcutHint('continue')}`}>
+                    <StepForward size={16} /> Continue
+                  </button>
+                )}
+                {isPlaying || countdown !== null ? (
+                  <button onClick={handlePause} title={`Pause${shortcutHint('togglePlay')}`}>
+                    <Pause size={16} />
+                  </button>
+                ) : (
+                  <button onClick={handleResume} title={`Resume${shortcutHint('togglePlay')}`}>
+                    <Play size={16} />
+                  </button>
+                )}
+                <button onClick={handleRestart} title={`Restart${shortcutHint('restart')}`}>
+                  <RotateCcw size={16} />
+                </button>
+                <button onClick={() => setShowShortcuts(true)} title={`Keyboard shortcuts${shortcutHint('help')}`}>
+                  <Keyboard size={16} />
+                </button>
+                <button onClick={handleExit} className="exit-btn" title={`Exit${shortcutHint('exit')}`}>
+                  <X size={16} />
+                </button>
               </div>
             </div>
-          ) : (
-            <ScrollArea.Root className="scroll-area-root word-display-scroll">
-              <ScrollArea.Viewport
-                className="scroll-area-viewport word-display paused"
-                ref={(el) => {
-                  wordDisplayRef.current = el
-                  pausedViewportRef.current = el
-                  // Scroll to saved position when viewport mounts
-                  if (el && pausedScrollY > 0) {
-                    el.scrollTop = pausedScrollY
-                  }
-                }}
-              >
-                <div className="scroll-content" ref={scrollContentRef}>
-                  {renderWords()}
-                </div>
-              </ScrollArea.Viewport>
-              <ScrollArea.Scrollbar className="scroll-area-scrollbar" orientation="vertical">
-                <ScrollArea.Thumb className="scroll-area-thumb" />
-              </ScrollArea.Scrollbar>
-            </ScrollArea.Root>
           )}
+
+          <div className="display-frame">
+            <div
+              className={`display-transform ${isQuarterTurn(displayTransform) ? 'quarter-turn' : ''}`}
+              style={{ transform: getDisplayTransformCSS(displayTransform), ...getDisplayLayoutStyle(displayLayout) }}
+            >
+              {isPlaying || countdown !== null ? (
+                <div className="word-display playing">
+                  <div className="scroll-content" ref={scrollContentRef}>
+                    {scriptView}
+                  </div>
+                </div>
+              ) : (
+                <ScrollArea.Root className="scroll-area-root word-display-scroll">
+                  <ScrollArea.Viewport
+                    className="scroll-area-viewport word-display paused"
+                    ref={attachPausedViewport}
+                    onScroll={(e) => setRenderBand(getRenderBand(layout, e.currentTarget.scrollTop))}
+                  >
+                    <div className="scroll-content" ref={scrollContentRef}>
+                      {scriptView}
+                    </div>
+                  </ScrollArea.Viewport>
+                  <ScrollArea.Scrollbar className="scroll-area-scrollbar" orientation="vertical">
+                    <ScrollArea.Thumb className="scroll-area-thumb" />
+                  </ScrollArea.Scrollbar>
+                </ScrollArea.Root>
+              )}
+              <ReadingGuide settings={readingGuide} readingLine={displayLayout.readingLine} />
+              {rehearsalWaitMs !== null && (
+                <div className="rehearsal-countdown">Your line in {formatDuration(rehearsalWaitMs + 499)}</div>
+              )}
+            </div>
+          </div>
         </div>
       )}
     </div>
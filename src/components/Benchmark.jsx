@@ -0,0 +1,132 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { Play } from 'lucide-react'
+import ScriptView from './ScriptView'
+import { parseScript } from '../lib/scriptParser'
+import { getRenderBand, findWordAtTime, getScrollOffset } from '../lib/scriptLayout'
+import { generateBenchmarkScript, summarizeFrameTimes } from '../lib/benchmark'
+
+const DEFAULT_WORDS = 50000
+const DEFAULT_SECONDS = 20
+
+// Reading pace for the benchmark run, and where in the script it starts
+const BENCHMARK_WPM = 180
+const START_FRACTION = 0.5
+
+function getParam(name, fallback) {
+  const value = Number(new URLSearchParams(window.location.search).get(name))
+  return value > 0 ? value : fallback
+}
+
+// Plays a generated long script through the same view and scrolling as the
+// teleprompter and reports the frame times
+function Benchmark() {
+  const wordCount = getParam('words', DEFAULT_WORDS)
+  const seconds = getParam('seconds', DEFAULT_SECONDS)
+
+  const [parsed] = useState(() => {
+    const startedAt = performance.now()
+    const result = parseScript(generateBenchmarkScript(wordCount))
+    return { ...result, parseMs: Math.round(performance.now() - startedAt) }
+  })
+  const { allWords, sectionBoundaries, parseMs } = parsed
+
+  const [layout, setLayout] = useState(null)
+  const [band, setBand] = useState(0)
+  const [currentWordIndex, setCurrentWordIndex] = useState(0)
+  const [running, setRunning] = useState(false)
+  const [results, setResults] = useState(null)
+  const scrollContentRef = useRef(null)
+
+  const sectionColors = useMemo(() => sectionBoundaries.map(() => '#646cff'), [sectionBoundaries])
+
+  const wordStartTimes = useMemo(() => allWords.map((_, i) => i * (60000 / BENCHMARK_WPM)), [allWords])
+  const wordTimings = useMemo(() => allWords.map(() => 60000 / BENCHMARK_WPM), [allWords])
+
+  useEffect(() => {
+    if (!running || !layout) return
+
+    const frameTimes = []
+    const startElapsed = wordStartTimes[Math.floor(allWords.length * START_FRACTION)]
+    const startedAt = performance.now()
+    let lastFrameAt = startedAt
+    let lastBand = null
+    let lastWordIndex = null
+    let frame
+
+    const step = (now) => {
+      frameTimes.push(now - lastFrameAt)
+      lastFrameAt = now
+
+      const elapsed = startElapsed + (now - startedAt)
+      const scrollY = getScrollOffset(layout, wordStartTimes, wordTimings, elapsed)
+      scrollContentRef.current.style.transform = `translateY(${-scrollY}px)`
+      // Like the teleprompter, only re-render when the band or word changes
+      const nextBand = getRenderBand(layout, scrollY)
+      const wordIdx = findWordAtTime(wordStartTimes, elapsed)
+      if (nextBand !== lastBand) setBand(nextBand)
+      if (wordIdx !== lastWordIndex) setCurrentWordIndex(wordIdx)
+      lastBand = nextBand
+      lastWordIndex = wordIdx
+
+      if (now - startedAt < seconds * 1000) {
+        frame = requestAnimationFrame(step)
+        return
+      }
+
+      // The first interval includes the time before the run started
+      const summary = {
+        ...summarizeFrameTimes(frameTimes.slice(1)),
+        words: allWords.length,
+        renderedWords: scrollContentRef.current.querySelectorAll('[data-word-index]').length
+      }
+      setResults(summary)
+      setRunning(false)
+    }
+
+    frame = requestAnimationFrame(step)
+    return () => cancelAnimationFrame(frame)
+  }, [running, layout, allWords, wordStartTimes, wordTimings, seconds])
+
+  const handleRun = () => {
+    setResults(null)
+    setRunning(true)
+  }
+
+  return (
+    <div className="teleprompter-container">
+      <div className="teleprompter-header benchmark-header">
+        <span>Benchmark: {allWords.length.toLocaleString()} words, {sectionBoundaries.length} sections, parsed in {parseMs} ms</span>
+        {results && (
+          <span className="benchmark-results">
+            {results.fps} fps · mean {results.mean} ms · p95 {results.p95} ms · p99 {results.p99} ms ·
+            max {results.max} ms · {results.slow} slow of {results.frames} frames · {results.renderedWords} words in the DOM
+          </span>
+        )}
+        <div className="controls">
+          <button onClick={handleRun} disabled={running || !layout} title={`Run for ${seconds}s`}>
+            <Play size={16} />
+          </button>
+        </div>
+      </div>
+      <div className="display-frame">
+        <div className="display-transform">
+          <div className="word-display playing">
+            <div className="scroll-content" ref={scrollContentRef}>
+              <ScriptView
+                allWords={allWords}
+                sectionBoundaries={sectionBoundaries}
+                sectionColors={sectionColors}
+                currentWordIndex={currentWordIndex}
+                heldWordIndex={null}
+                band={band}
+                onLayout={setLayout}
+              />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Benchmark
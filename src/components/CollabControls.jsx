@@ -0,0 +1,69 @@
+// Collaborative editing: the sync server, the room to join and the name the
+// others see. Joining a room that already exists replaces the active script
+// with the room's copy, so the fields are locked while in a room.
+function CollabControls({ value, status, peers, onChange }) {
+  const others = peers.length === 0
+    ? 'nobody else yet'
+    : `with ${peers.length} ${peers.length === 1 ? 'other' : 'others'}`
+
+  return (
+    <div className="collab-section">
+      <label>Collaboration:</label>
+      <input
+        type="text"
+        className="remote-url"
+        value={value.url}
+        disabled={value.enabled}
+        onChange={(e) => onChange({ url: e.target.value })}
+        aria-label="Sync server URL"
+      />
+      <input
+        type="text"
+        className="remote-url"
+        value={value.token}
+        disabled={value.enabled}
+        onChange={(e) => onChange({ token: e.target.value.trim() })}
+        placeholder="Pairing token"
+        aria-label="Sync server pairing token"
+      />
+      <div className="collab-fields">
+        <input
+          type="text"
+          value={value.room}
+          disabled={value.enabled}
+          onChange={(e) => onChange({ room: e.target.value })}
+          placeholder="Room"
+          aria-label="Room"
+        />
+        <input
+          type="text"
+          value={value.name}
+          disabled={value.enabled}
+          onChange={(e) => onChange({ name: e.target.value })}
+          placeholder="Your name"
+          aria-label="Your name"
+        />
+      </div>
+      <button
+        className="secondary-button"
+        disabled={!value.enabled && !value.room.trim()}
+        onClick={() => onChange({ enabled: !value.enabled })}
+      >
+        {value.enabled ? 'Leave room' : 'Join room'}
+      </button>
+      {value.enabled ? (
+        <span className={`remote-status ${status}`}>
+          {status === 'connected' ? `In "${value.room.trim()}", ${others}`
+            : status === 'unauthorized' ? 'Sync server rejected the pairing token'
+              : `Sync server ${status}`}
+        </span>
+      ) : (
+        <span className="pacing-hint">
+          Joining a room someone already started replaces this script with theirs.
+        </span>
+      )}
+    </div>
+  )
+}
+
+export default CollabControls
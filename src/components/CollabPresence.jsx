@@ -0,0 +1,37 @@
+// Line (from 1) of a position in the text
+function getLineAt(text, index) {
+  let line = 1
+  for (let i = text.indexOf('\n'); i !== -1 && i < index; i = text.indexOf('\n', i + 1)) line++
+  return line
+}
+
+// The others in the collaboration room, above the editor, with the line each
+// is on. Clicking someone jumps to their line.
+function CollabPresence({ peers, script, onSelectLine }) {
+  if (peers.length === 0) return null
+
+  return (
+    <div className="collab-presence">
+      {peers.map(peer => {
+        const line = peer.selection ? getLineAt(script, peer.selection.head) : null
+        return (
+          <button
+            key={peer.clientId}
+            className="collab-peer"
+            style={{ '--peer-color': peer.color }}
+            disabled={line === null}
+            onClick={() => onSelectLine(line)}
+          >
+            <span className="collab-peer-dot" />
+            <span className="collab-peer-name">{peer.name}</span>
+            <span className="collab-peer-where">
+              {peer.running ? 'running the prompter' : line !== null ? `line ${line}` : 'not editing'}
+            </span>
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+export default CollabPresence
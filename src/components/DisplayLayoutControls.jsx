@@ -0,0 +1,34 @@
+import { DEFAULT_DISPLAY_LAYOUT, DISPLAY_LAYOUT_CONTROLS } from '../lib/displayLayout'
+
+// Sliders for the playback text layout, used in the sidebar and during playback
+function DisplayLayoutControls({ value, onChange }) {
+  const isDefault = DISPLAY_LAYOUT_CONTROLS.every(({ key }) => value[key] === DEFAULT_DISPLAY_LAYOUT[key])
+
+  return (
+    <div className="display-layout-controls">
+      {DISPLAY_LAYOUT_CONTROLS.map(({ key, label, min, max, step, format }) => (
+        <div key={key} className="display-layout-row">
+          <span>{label}</span>
+          <input
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={value[key]}
+            onChange={(e) => onChange({ [key]: parseFloat(e.target.value) })}
+          />
+          <span className="display-layout-value">{format(value[key])}</span>
+        </div>
+      ))}
+      <button
+        className="display-layout-reset"
+        onClick={() => onChange(DEFAULT_DISPLAY_LAYOUT)}
+        disabled={isDefault}
+      >
+        Reset text layout
+      </button>
+    </div>
+  )
+}
+
+export default DisplayLayoutControls
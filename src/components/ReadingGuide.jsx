@@ -0,0 +1,23 @@
+// Reading line marker and focus band, drawn over the playback view. Positions
+// are fractions of the view height, so they follow mirrored or rotated frames.
+function ReadingGuide({ settings, readingLine }) {
+  const { guide, focusBand, bandHeight, dimming } = settings
+  if (guide === 'none' && !focusBand) return null
+
+  const top = readingLine * 100
+  const halfBand = bandHeight * 50
+
+  return (
+    <div className="reading-guide" aria-hidden="true">
+      {focusBand && (
+        <>
+          <div className="focus-dim above" style={{ height: `${Math.max(0, top - halfBand)}%`, opacity: dimming }} />
+          <div className="focus-dim below" style={{ top: `${Math.min(100, top + halfBand)}%`, opacity: dimming }} />
+        </>
+      )}
+      {guide !== 'none' && <div className={`guide-${guide}`} style={{ top: `${top}%` }} />}
+    </div>
+  )
+}
+
+export default ReadingGuide
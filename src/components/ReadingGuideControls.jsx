@@ -0,0 +1,63 @@
+import { GUIDE_STYLES, HIGHLIGHT_STYLES } from '../lib/readingGuide'
+
+// Reading guide, focus band and highlight settings
+function ReadingGuideControls({ value, onChange }) {
+  return (
+    <div className="display-layout-controls">
+      <div className="display-layout-row">
+        <span>Guide</span>
+        <select value={value.guide} onChange={(e) => onChange({ guide: e.target.value })}>
+          {GUIDE_STYLES.map(style => (
+            <option key={style.id} value={style.id}>{style.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="display-layout-row">
+        <span>Highlight</span>
+        <select value={value.highlight} onChange={(e) => onChange({ highlight: e.target.value })}>
+          {HIGHLIGHT_STYLES.map(style => (
+            <option key={style.id} value={style.id}>{style.label}</option>
+          ))}
+        </select>
+      </div>
+      <label className="checkbox-row">
+        <input
+          type="checkbox"
+          checked={value.focusBand}
+          onChange={(e) => onChange({ focusBand: e.target.checked })}
+        />
+        Focus band around the reading line
+      </label>
+      {value.focusBand && (
+        <>
+          <div className="display-layout-row">
+            <span>Band height</span>
+            <input
+              type="range"
+              min="0.05"
+              max="0.9"
+              step="0.05"
+              value={value.bandHeight}
+              onChange={(e) => onChange({ bandHeight: parseFloat(e.target.value) })}
+            />
+            <span className="display-layout-value">{Math.round(value.bandHeight * 100)}%</span>
+          </div>
+          <div className="display-layout-row">
+            <span>Dimming</span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={value.dimming}
+              onChange={(e) => onChange({ dimming: parseFloat(e.target.value) })}
+            />
+            <span className="display-layout-value">{Math.round(value.dimming * 100)}%</span>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ReadingGuideControls
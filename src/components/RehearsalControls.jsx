@@ -0,0 +1,57 @@
+// Rehearsal settings: whose lines to practice and how the others are shown
+function RehearsalControls({ value, speakers, onChange }) {
+  const hasSpeaker = speakers.includes(value.speaker)
+
+  return (
+    <div className="rehearsal-section">
+      <label>Rehearsal:</label>
+      <label className="checkbox-row">
+        <input
+          type="checkbox"
+          checked={value.enabled}
+          onChange={(e) => onChange({
+            enabled: e.target.checked,
+            speaker: hasSpeaker ? value.speaker : speakers[0]
+          })}
+        />
+        Rehearse one speaker's lines
+      </label>
+      {value.enabled && (
+        <>
+          <select
+            value={hasSpeaker ? value.speaker : ''}
+            onChange={(e) => onChange({ speaker: e.target.value })}
+            aria-label="Speaker to rehearse"
+          >
+            {!hasSpeaker && <option value="" disabled>Pick a speaker</option>}
+            {speakers.map(speaker => (
+              <option key={speaker} value={speaker}>{speaker}</option>
+            ))}
+          </select>
+          <label className="checkbox-row">
+            <input
+              type="checkbox"
+              checked={value.countdown}
+              onChange={(e) => onChange({ countdown: e.target.checked })}
+            />
+            Count down through other speakers' lines
+          </label>
+          <label className="checkbox-row">
+            <input
+              type="checkbox"
+              checked={value.hideOwnLines}
+              onChange={(e) => onChange({ hideOwnLines: e.target.checked })}
+            />
+            Hide my lines until they're read
+          </label>
+          <span className="pacing-hint">
+            Other speakers' sections are cut to their last line as your cue.
+            {!value.countdown && ' The rest of their time is skipped.'}
+          </span>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default RehearsalControls
@@ -0,0 +1,92 @@
+import { useMemo } from 'react'
+import { highlightScript } from '../lib/scriptHighlight'
+import { formatDuration, formatShortDuration } from '../lib/formatTime'
+
+// The script editor: a textarea with transparent text over a highlighted copy
+// of the script, and a gutter with when each line starts and how long it
+// takes. Highlighting only uses colors and decorations, never a different font
+// weight or style, so the copy wraps exactly like the textarea. Clicking a
+// line's time starts the prompter from that line.
+function ScriptEditor({
+  textareaRef,
+  value,
+  onChange,
+  onSelect,
+  readOnly,
+  placeholder,
+  direction,
+  lineTimings,
+  problems,
+  getSpeakerColor,
+  onStartAtLine
+}) {
+  const lines = useMemo(() => highlightScript(value), [value])
+
+  // The worst problem on each line
+  const lineProblems = useMemo(() => {
+    const byLine = new Map()
+    problems.forEach(problem => {
+      const current = byLine.get(problem.line)
+      byLine.set(problem.line, {
+        severity: current?.severity === 'error' ? 'error' : problem.severity,
+        messages: [...(current?.messages || []), problem.message]
+      })
+    })
+    return byLine
+  }, [problems])
+
+  const dir = direction === 'auto' ? undefined : direction
+
+  return (
+    <div className={`script-editor ${direction === 'auto' ? 'auto-direction' : ''}`}>
+      <div className="script-editor-lines" aria-hidden="true">
+        {lines.map((tokens, i) => {
+          const line = i + 1
+          const timing = lineTimings.get(line)
+          const problem = lineProblems.get(line)
+          return (
+            <div key={i} className="script-editor-row">
+              <div className={`script-editor-gutter ${problem ? problem.severity : ''}`} title={problem?.messages.join('\n')}>
+                {timing && (
+                  <button
+                    tabIndex={-1}
+                    title={`Start the prompter from line ${line}`}
+                    onClick={() => onStartAtLine(line)}
+                  >
+                    <span className="script-editor-start">{formatDuration(timing.start)}</span>
+                    <span className="script-editor-length">{formatShortDuration(timing.duration)}</span>
+                  </button>
+                )}
+              </div>
+              <div className="script-editor-line" dir={dir}>
+                {tokens.map((token, t) => (
+                  <span
+                    key={t}
+                    className={[token.kind, ...token.styles].map(name => `hl-${name}`).join(' ')}
+                    style={token.speaker ? { color: getSpeakerColor(token.speaker) } : undefined}
+                  >
+                    {token.text}
+                  </span>
+                ))}
+                {/* Keeps empty lines a line high */}
+                {tokens.length === 0 && '\u200b'}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+      <textarea
+        id="script"
+        ref={textareaRef}
+        dir={dir}
+        value={value}
+        readOnly={readOnly}
+        onChange={onChange}
+        onSelect={onSelect}
+        placeholder={placeholder}
+      />
+    </div>
+  )
+}
+
+export default ScriptEditor
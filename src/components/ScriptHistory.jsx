@@ -0,0 +1,68 @@
+import { useState } from 'react'
+import { BookmarkPlus, RotateCcw } from 'lucide-react'
+import { getVersionLabel } from '../lib/scriptHistory'
+import { formatDuration, formatWhen } from '../lib/formatTime'
+
+// Sidebar list of the active script's saved versions. Clicking one compares it
+// with the current script; checkpoints are saved here by name.
+function ScriptHistory({ versions, onSaveCheckpoint, onCompare, onRestore }) {
+  const [name, setName] = useState('')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    onSaveCheckpoint(name.trim())
+    setName('')
+  }
+
+  return (
+    <div className="script-history">
+      <div className="script-history-header">
+        <label>History:</label>
+      </div>
+
+      <form className="checkpoint-form" onSubmit={handleSubmit}>
+        <input
+          className="script-search"
+          placeholder="Checkpoint name…"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button type="submit" className="icon-button" disabled={!name.trim()} title="Save a checkpoint of the current script">
+          <BookmarkPlus size={16} />
+        </button>
+      </form>
+
+      {versions.length === 0 ? (
+        <span className="history-empty">Versions are kept automatically as you edit.</span>
+      ) : (
+        <ul className="version-list">
+          {versions.map(version => (
+            <li
+              key={version.id}
+              className={`version-item ${version.name ? 'checkpoint' : ''}`}
+              onClick={() => onCompare(version)}
+              title="Compare with the current script"
+            >
+              <span className="version-name">{getVersionLabel(version)}</span>
+              <span className="version-time">{formatWhen(version.createdAt)}</span>
+              <span className="version-duration">{formatDuration(version.plannedMs)}</span>
+              <button
+                className="icon-button"
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onRestore(version)
+                }}
+                title="Restore this version"
+              >
+                <RotateCcw size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ScriptHistory
@@ -0,0 +1,94 @@
+import { useState } from 'react'
+import { FilePlus, Copy, Pencil, Trash2 } from 'lucide-react'
+import { matchesSearch } from '../lib/scriptLibrary'
+
+// Sidebar list of saved scripts with create, rename, duplicate, delete and search
+function ScriptLibrary({ scripts, activeId, onSelect, onCreate, onRename, onDuplicate, onDelete }) {
+  const [query, setQuery] = useState('')
+  const [renamingId, setRenamingId] = useState(null)
+  const [draftName, setDraftName] = useState('')
+
+  const visible = scripts.filter(entry => matchesSearch(entry, query))
+
+  const startRename = (entry) => {
+    setRenamingId(entry.id)
+    setDraftName(entry.name)
+  }
+
+  const commitRename = () => {
+    const name = draftName.trim()
+    if (name) onRename(renamingId, name)
+    setRenamingId(null)
+  }
+
+  const handleDelete = (entry) => {
+    if (window.confirm(`Delete "${entry.name}"? This can't be undone.`)) {
+      onDelete(entry.id)
+    }
+  }
+
+  return (
+    <div className="script-library">
+      <div className="script-library-header">
+        <label>Scripts:</label>
+        <button className="icon-button" onClick={onCreate} title="New script">
+          <FilePlus size={16} />
+        </button>
+      </div>
+
+      <input
+        type="search"
+        className="script-search"
+        placeholder="Search scripts…"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+
+      <ul className="script-list">
+        {visible.map(entry => (
+          <li
+            key={entry.id}
+            className={`script-item ${entry.id === activeId ? 'active' : ''}`}
+            onClick={() => entry.id !== activeId && onSelect(entry.id)}
+          >
+            {renamingId === entry.id ? (
+              <input
+                className="script-rename"
+                value={draftName}
+                autoFocus
+                onChange={(e) => setDraftName(e.target.value)}
+                onClick={(e) => e.stopPropagation()}
+                onBlur={commitRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') commitRename()
+                  if (e.key === 'Escape') setRenamingId(null)
+                }}
+              />
+            ) : (
+              <span className="script-name">{entry.name}</span>
+            )}
+            <span className="script-actions" onClick={(e) => e.stopPropagation()}>
+              <button className="icon-button" onClick={() => startRename(entry)} title="Rename">
+                <Pencil size={13} />
+              </button>
+              <button className="icon-button" onClick={() => onDuplicate(entry.id)} title="Duplicate">
+                <Copy size={13} />
+              </button>
+              <button
+                className="icon-button danger"
+                onClick={() => handleDelete(entry)}
+                title="Delete"
+                disabled={scripts.length <= 1}
+              >
+                <Trash2 size={13} />
+              </button>
+            </span>
+          </li>
+        ))}
+        {visible.length === 0 && <li className="script-empty">No scripts match "{query}"</li>}
+      </ul>
+    </div>
+  )
+}
+
+export default ScriptLibrary
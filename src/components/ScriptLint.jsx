@@ -0,0 +1,46 @@
+import { CircleAlert, TriangleAlert } from 'lucide-react'
+
+// Problems found in the script, under the editor. Clicking one jumps to its
+// line; the pace limit for the per-section check can be changed here.
+function ScriptLint({ problems, maxWpm, onChangeMaxWpm, onSelectLine }) {
+  const errors = problems.filter(problem => problem.severity === 'error').length
+
+  return (
+    <div className="script-lint">
+      <div className="script-lint-header">
+        <span className={`script-lint-summary ${errors > 0 ? 'error' : problems.length > 0 ? 'warning' : ''}`}>
+          {problems.length === 0
+            ? 'No problems found'
+            : `${problems.length} ${problems.length === 1 ? 'problem' : 'problems'}`}
+        </span>
+        <label className="script-lint-limit">
+          Flag sections over
+          <input
+            type="number"
+            min="60"
+            max="400"
+            step="10"
+            value={maxWpm}
+            onChange={(e) => onChangeMaxWpm(parseInt(e.target.value) || maxWpm)}
+          />
+          WPM
+        </label>
+      </div>
+      {problems.length > 0 && (
+        <ul className="script-lint-list">
+          {problems.map((problem, i) => (
+            <li key={i}>
+              <button className={`script-lint-item ${problem.severity}`} onClick={() => onSelectLine(problem.line)}>
+                {problem.severity === 'error' ? <CircleAlert size={14} /> : <TriangleAlert size={14} />}
+                <span className="script-lint-line">Line {problem.line}</span>
+                <span className="script-lint-message">{problem.message}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ScriptLint
@@ -0,0 +1,220 @@
+import { memo, useCallback, useLayoutEffect, useMemo, useRef, useState } from 'react'
+import { getStyleClassNames } from '../lib/inlineFormatting'
+import { layoutScript, getVisibleRows, measureText, clearTextMeasurements, toFont } from '../lib/scriptLayout'
+import { getSentenceRanges } from '../lib/readingGuide'
+
+// Read the layout metrics from hidden sample elements styled like the real rows
+function readMetrics(container, probe) {
+  const [firstDivider, divider, line, section] = probe.children
+  const word = line.querySelector('.word')
+  const marker = line.querySelector('.directive-marker')
+  const wordStyle = getComputedStyle(word)
+  const markerStyle = getComputedStyle(marker)
+  const lineStyle = getComputedStyle(line)
+  const markerFont = toFont({
+    style: markerStyle.fontStyle,
+    weight: markerStyle.fontWeight,
+    size: markerStyle.fontSize,
+    family: markerStyle.fontFamily
+  })
+  const lineFont = toFont({
+    style: lineStyle.fontStyle,
+    weight: lineStyle.fontWeight,
+    size: lineStyle.fontSize,
+    family: lineStyle.fontFamily
+  })
+
+  return {
+    width: container.clientWidth,
+    viewportHeight: container.closest('.word-display')?.clientHeight || window.innerHeight,
+    paddingTop: container.offsetTop,
+    lineHeight: line.offsetHeight,
+    sectionGap: parseFloat(getComputedStyle(section).marginBottom) || 0,
+    dividerGap: parseFloat(getComputedStyle(divider).marginTop) || 0,
+    dividerHeight: divider.offsetHeight,
+    firstDividerHeight: firstDivider.offsetHeight,
+    wordFont: {
+      style: wordStyle.fontStyle,
+      weight: wordStyle.fontWeight,
+      size: wordStyle.fontSize,
+      family: wordStyle.fontFamily
+    },
+    markerFont,
+    markerExtra: marker.offsetWidth - measureText(marker.textContent, markerFont) +
+      (parseFloat(markerStyle.marginRight) || 0),
+    spaceWidth: measureText(' ', lineFont) + (parseFloat(lineStyle.wordSpacing) || 0)
+  }
+}
+
+const sameMetrics = (a, b) => a && b && JSON.stringify(a) === JSON.stringify(b)
+
+// One laid-out row: a speaker / heading divider or a line of words
+const ScriptRow = memo(function ScriptRow({ row, section, color, direction, allWords, heldWordIndex }) {
+  if (row.type === 'divider') {
+    return (
+      <div
+        className={`script-row speaker-divider ${row.section === 0 ? 'first' : ''}`}
+        style={{ top: row.top }}
+        dir={direction}
+      >
+        {section.speaker && <span className="speaker-name" style={{ color }}>{section.speaker}</span>}
+        {section.title && <span className="section-title">{section.title}</span>}
+        {section.budgetMs !== null && (
+          <span className="directive-marker budget">{Math.round(section.budgetMs / 100) / 10}s</span>
+        )}
+      </div>
+    )
+  }
+
+  const words = []
+  for (let i = row.start; i <= row.end; i++) {
+    const word = allWords[i]
+    words.push(
+      <span key={i}>
+        {word.directives.map((directive, d) => (
+          <span
+            key={d}
+            className={`directive-marker ${directive.type} ${directive.type === 'hold' && heldWordIndex === i ? 'active' : ''}`}
+          >
+            {directive.label}
+          </span>
+        ))}
+        <span
+          data-word-index={i}
+          className={`word ${word.segments.length === 1 ? getStyleClassNames(word.segments[0]) : ''} ${word.masked ? 'masked' : ''}`}
+        >
+          {word.segments.length === 1
+            ? word.text
+            : word.segments.map((segment, s) => (
+              <span key={s} className={getStyleClassNames(segment)}>{segment.text}</span>
+            ))}
+        </span>
+        {!word.joined && ' '}
+      </span>
+    )
+  }
+
+  return (
+    <div className="script-row script-line" style={{ top: row.top, '--speaker-color': color }} dir={direction}>
+      {words}
+    </div>
+  )
+})
+
+// The script as shown during playback. Only the rows near the viewport are
+// rendered (`band` comes from the scroll position, see getRenderBand), and the
+// current word is marked on the rendered elements directly, so moving to the
+// next word doesn't re-render any rows. The layout is reported through
+// `onLayout` before it's painted, so the scroll position can be kept in step.
+// `displayLayout` is only used to know when the text styles have changed.
+// `highlight` is the reading guide's highlight style: 'background',
+// 'underline', 'line', 'sentence' or 'none'. `onWordClick`, if given, is
+// called with the index of a clicked word. `sectionDirections` gives each
+// section's text direction ('ltr' or 'rtl', see textDirection.js).
+function ScriptView({ allWords, sectionBoundaries, sectionColors, sectionDirections, currentWordIndex, heldWordIndex, band, displayLayout, highlight = 'background', onLayout, onWordClick }) {
+  const containerRef = useRef(null)
+  const probeRef = useRef(null)
+  const [metrics, setMetrics] = useState(null)
+
+  const measure = useCallback(() => {
+    const next = readMetrics(containerRef.current, probeRef.current)
+    setMetrics(prev => sameMetrics(prev, next) ? prev : next)
+  }, [])
+
+  // Measure again whenever the view or the column changes size (window
+  // resizes, full screen, moving to another monitor) or web fonts load
+  useLayoutEffect(() => {
+    const handleFontsLoaded = () => {
+      clearTextMeasurements()
+      setMetrics(readMetrics(containerRef.current, probeRef.current))
+    }
+
+    const observer = new ResizeObserver(measure)
+    observer.observe(containerRef.current)
+    const viewport = containerRef.current.closest('.word-display')
+    if (viewport) observer.observe(viewport)
+    document.fonts?.addEventListener('loadingdone', handleFontsLoaded)
+    return () => {
+      observer.disconnect()
+      document.fonts?.removeEventListener('loadingdone', handleFontsLoaded)
+    }
+  }, [measure])
+
+  // Font size and line height don't resize anything observed
+  useLayoutEffect(() => {
+    measure()
+  }, [measure, displayLayout])
+
+  const layout = useMemo(() => {
+    return metrics ? layoutScript(allWords, sectionBoundaries, metrics) : null
+  }, [allWords, sectionBoundaries, metrics])
+
+  useLayoutEffect(() => {
+    onLayout(layout)
+  }, [layout, onLayout])
+
+  const sentences = useMemo(() => {
+    return highlight === 'sentence' ? getSentenceRanges(allWords, sectionBoundaries) : null
+  }, [highlight, allWords, sectionBoundaries])
+
+  // Mark the current and past words, and the current word's line and
+  // sentence, among the rendered ones. This runs after every render since
+  // rows may have been mounted or replaced.
+  useLayoutEffect(() => {
+    const sentenceStart = sentences && currentWordIndex >= 0 ? sentences.starts[currentWordIndex] : -1
+    const sentenceEnd = sentences && currentWordIndex >= 0 ? sentences.ends[currentWordIndex] : -1
+    containerRef.current.querySelectorAll('[data-word-index]').forEach(el => {
+      const i = Number(el.dataset.wordIndex)
+      el.classList.toggle('current', i === currentWordIndex)
+      el.classList.toggle('past', i < currentWordIndex)
+      el.classList.toggle('future', i > currentWordIndex)
+      el.classList.toggle('in-sentence', i >= sentenceStart && i <= sentenceEnd)
+    })
+    containerRef.current.querySelectorAll('.script-line').forEach(line => {
+      line.classList.toggle('current-line', Boolean(line.querySelector('.word.current')))
+    })
+  })
+
+  const [first, last] = layout && layout.rows.length > 0 ? getVisibleRows(layout, band) : [0, -1]
+  const rows = []
+  for (let r = first; r <= last; r++) {
+    const row = layout.rows[r]
+    rows.push(
+      <ScriptRow
+        key={r}
+        row={row}
+        section={sectionBoundaries[row.section]}
+        color={sectionColors[row.section]}
+        direction={sectionDirections?.[row.section]}
+        allWords={allWords}
+        heldWordIndex={row.type === 'line' && heldWordIndex >= row.start && heldWordIndex <= row.end ? heldWordIndex : null}
+      />
+    )
+  }
+
+  const handleClick = (e) => {
+    const word = e.target.closest('[data-word-index]')
+    if (word) onWordClick(Number(word.dataset.wordIndex))
+  }
+
+  return (
+    <div
+      className={`script-rows highlight-${highlight} ${onWordClick ? 'seekable' : ''}`}
+      ref={containerRef}
+      style={{ height: layout?.height }}
+      onClick={onWordClick ? handleClick : undefined}
+    >
+      <div className="script-probe" ref={probeRef} aria-hidden="true">
+        <div className="speaker-divider first"><span className="speaker-name">M</span></div>
+        <div className="speaker-divider"><span className="speaker-name">M</span></div>
+        <div className="script-line">
+          <span className="word">M</span> <span className="directive-marker">M</span>
+        </div>
+        <div className="section" />
+      </div>
+      {rows}
+    </div>
+  )
+}
+
+export default memo(ScriptView)
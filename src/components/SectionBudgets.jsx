@@ -0,0 +1,62 @@
+import { TriangleAlert } from 'lucide-react'
+import { formatShortDuration } from '../lib/formatTime'
+
+// Sidebar list of sections with their time budgets and resulting pace
+function SectionBudgets({ stats, targetTimeMs, scheduleMs, getSpeakerColor }) {
+  const hasBudgets = stats.some(section => section.budgetMs !== null)
+  if (stats.length < 2 && !hasBudgets) return null
+
+  const budgetedMs = stats.reduce((sum, section) => sum + (section.budgetMs ?? 0), 0)
+  const hasShared = stats.some(section => section.budgetMs === null)
+
+  return (
+    <div className="section-budgets">
+      <label>Sections:</label>
+
+      <ul className="section-budget-list">
+        {stats.map((section, index) => (
+          <li key={index} className={`section-budget ${section.warning ? 'warning' : ''}`}>
+            <span
+              className="section-budget-dot"
+              style={{ backgroundColor: section.speaker ? getSpeakerColor(section.speaker) : '#646cff' }}
+            />
+            <span className="section-budget-name">
+              {section.title || section.speaker || `Section ${index + 1}`}
+            </span>
+            <span className="section-budget-time" title={section.budgetMs !== null ? 'Budget' : 'Share of the target time'}>
+              {formatShortDuration(section.durationMs)}{section.budgetMs === null && ' *'}
+            </span>
+            <span className="section-budget-wpm">
+              {Number.isFinite(section.wpm) ? `${section.wpm} WPM` : '–'}
+            </span>
+            {section.warning && (
+              <span className="section-budget-warning" title={section.warning}>
+                <TriangleAlert size={14} />
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {stats.some(section => section.warning) && (
+        <ul className="section-budget-notes">
+          {stats.map((section, index) => section.warning && (
+            <li key={index}>{section.title || section.speaker || `Section ${index + 1}`}: {section.warning}</li>
+          ))}
+        </ul>
+      )}
+
+      <span className="section-budget-summary">
+        {!hasBudgets
+          ? 'Add [budget 15s] to a section to give it its own time.'
+          : !hasShared
+            ? `Every section has a budget, so the run takes ${formatShortDuration(scheduleMs)} whatever the target.`
+            : budgetedMs >= targetTimeMs
+              ? `Budgets add up to ${formatShortDuration(budgetedMs)}, leaving nothing of the ${formatShortDuration(targetTimeMs)} target for the rest.`
+              : `* Sections without a budget share the remaining ${formatShortDuration(targetTimeMs - budgetedMs)}.`}
+      </span>
+    </div>
+  )
+}
+
+export default SectionBudgets
@@ -0,0 +1,71 @@
+import { useState, useEffect } from 'react'
+import { X } from 'lucide-react'
+import { SHORTCUT_ACTIONS, formatKeyCombo, getKeyCombo, isModifierKey } from '../lib/keymap'
+
+// Help overlay listing the keyboard shortcuts, with rebinding
+function ShortcutHelp({ keymap, onChange, onReset, onClose }) {
+  const [capturing, setCapturing] = useState(null)
+
+  // While capturing, the next key press becomes the binding and never reaches the app
+  useEffect(() => {
+    if (!capturing) return
+
+    const handleKeyDown = (e) => {
+      e.preventDefault()
+      e.stopPropagation()
+      if (isModifierKey(e)) return
+
+      if (e.key !== 'Escape') {
+        onChange(capturing, [getKeyCombo(e)])
+      }
+      setCapturing(null)
+    }
+
+    window.addEventListener('keydown', handleKeyDown, true)
+    return () => window.removeEventListener('keydown', handleKeyDown, true)
+  }, [capturing, onChange])
+
+  return (
+    <div className="overlay-backdrop" onClick={onClose}>
+      <div className="shortcut-help" onClick={(e) => e.stopPropagation()}>
+        <div className="overlay-header">
+          <h2>Keyboard shortcuts</h2>
+          <button className="overlay-close" onClick={onClose} title="Close">
+            <X size={16} />
+          </button>
+        </div>
+
+        <table className="shortcut-table">
+          <tbody>
+            {SHORTCUT_ACTIONS.map(action => (
+              <tr key={action.id}>
+                <td>{action.label}</td>
+                <td className="shortcut-keys">
+                  {capturing === action.id ? (
+                    <span className="shortcut-capturing">Press a key… (Esc to cancel)</span>
+                  ) : keymap[action.id].length > 0 ? (
+                    keymap[action.id].map(combo => <kbd key={combo}>{formatKeyCombo(combo)}</kbd>)
+                  ) : (
+                    <span className="shortcut-unbound">Unbound</span>
+                  )}
+                </td>
+                <td>
+                  <button className="shortcut-change" onClick={() => setCapturing(action.id)}>
+                    Change
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="overlay-footer">
+          <span>Shortcuts are disabled while typing in the script.</span>
+          <button className="shortcut-change" onClick={onReset}>Reset to defaults</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ShortcutHelp
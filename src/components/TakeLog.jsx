@@ -0,0 +1,42 @@
+import { Download, Trash2 } from 'lucide-react'
+
+// Sidebar list of the recorded takes for the active script
+function TakeLog({ takes, onOpen, onExport, onClear }) {
+  if (takes.length === 0) return null
+
+  const handleClear = () => {
+    if (window.confirm('Delete all takes for this script?')) onClear()
+  }
+
+  return (
+    <div className="take-log">
+      <div className="take-log-header">
+        <label>Takes:</label>
+        <button className="icon-button" onClick={onExport} title="Export takes as CSV">
+          <Download size={16} />
+        </button>
+        <button className="icon-button danger" onClick={handleClear} title="Delete all takes">
+          <Trash2 size={16} />
+        </button>
+      </div>
+
+      <ul className="take-list">
+        {takes.map(take => {
+          const diff = take.actualMs - take.plannedMs
+          const seconds = Math.round(Math.abs(diff) / 1000)
+          return (
+            <li key={take.id} className="take-item" onClick={() => onOpen(take)}>
+              <span>Take {take.number}</span>
+              <span className="take-time">{new Date(take.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+              <span className={`take-delta ${diff > 0 ? 'over' : 'under'}`}>
+                {take.completed ? `${diff > 0 ? '+' : '-'}${seconds}s` : 'partial'}
+              </span>
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
+
+export default TakeLog
@@ -0,0 +1,73 @@
+import { X } from 'lucide-react'
+import { isOverrun } from '../lib/takeLog'
+import { formatDuration } from '../lib/formatTime'
+
+// Section times are shown to a tenth of a second
+const formatTake = (ms, signed = false) => formatDuration(ms, { signed, tenths: true })
+
+// Post-take report: actual versus planned time for each section
+function TakeReport({ take, onClose }) {
+  const totalDiff = take.actualMs - take.plannedMs
+  const pausedMs = take.pauses.reduce((sum, pause) => sum + (pause.durationMs || 0), 0)
+
+  return (
+    <div className="overlay-backdrop" onClick={onClose}>
+      <div className="take-report" onClick={(e) => e.stopPropagation()}>
+        <div className="overlay-header">
+          <h2>Take {take.number} · {take.scriptName}</h2>
+          <button className="overlay-close" onClick={onClose} title="Close">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="take-summary">
+          <span>{new Date(take.startedAt).toLocaleTimeString()} – {new Date(take.endedAt).toLocaleTimeString()}</span>
+          <span>{take.completed ? 'Complete' : 'Stopped early'}</span>
+          <span>{take.pauses.length} {take.pauses.length === 1 ? 'pause' : 'pauses'} ({formatTake(pausedMs)})</span>
+        </div>
+
+        <table className="take-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Section</th>
+              <th>Planned</th>
+              <th>Actual</th>
+              <th>Diff</th>
+            </tr>
+          </thead>
+          <tbody>
+            {take.sections.map(section => {
+              const reached = section.reachedAtMs !== null
+              const diff = section.actualMs - section.plannedMs
+              return (
+                <tr key={section.index} className={isOverrun(section) ? 'overrun' : reached ? '' : 'not-reached'}>
+                  <td>{section.index + 1}</td>
+                  <td>{[section.speaker, section.title].filter(Boolean).join(' · ') || '—'}</td>
+                  <td>{formatTake(section.plannedMs)}</td>
+                  <td>{reached ? formatTake(section.actualMs) : '—'}</td>
+                  <td className="take-diff">{reached ? formatTake(diff, true) : 'Not reached'}</td>
+                </tr>
+              )
+            })}
+          </tbody>
+          <tfoot>
+            <tr className={totalDiff > 0 ? 'overrun' : ''}>
+              <td></td>
+              <td>Total</td>
+              <td>{formatTake(take.plannedMs)}</td>
+              <td>{formatTake(take.actualMs)}</td>
+              <td className="take-diff">{formatTake(totalDiff, true)}</td>
+            </tr>
+          </tfoot>
+        </table>
+
+        <div className="overlay-footer">
+          <span>Actual times are reading time, not counting pauses.</span>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TakeReport
@@ -0,0 +1,59 @@
+import { useRef } from 'react'
+
+// Scrubber for the playback header: the position in the schedule, with a
+// marker where each speaker or heading section starts. Click or drag to seek.
+// `markers` are { at, label, color, kind: 'speaker' | 'heading' }.
+function Timeline({ elapsed, duration, markers, onSeek }) {
+  const trackRef = useRef(null)
+  const draggingRef = useRef(false)
+
+  const seekToPointer = (e) => {
+    const rect = trackRef.current.getBoundingClientRect()
+    if (rect.width <= 0) return
+    const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width))
+    onSeek(fraction * duration)
+  }
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0 || duration <= 0) return
+    e.currentTarget.setPointerCapture(e.pointerId)
+    draggingRef.current = true
+    seekToPointer(e)
+  }
+
+  const handlePointerMove = (e) => {
+    if (draggingRef.current) seekToPointer(e)
+  }
+
+  const handlePointerUp = () => {
+    draggingRef.current = false
+  }
+
+  const toPercent = (ms) => `${duration > 0 ? Math.min(100, (ms / duration) * 100) : 0}%`
+
+  return (
+    <div
+      className="timeline"
+      title="Click or drag to seek"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      <div className="timeline-track" ref={trackRef}>
+        <div className="timeline-progress" style={{ width: toPercent(elapsed) }} />
+        {markers.map((marker, i) => (
+          <span
+            key={i}
+            className={`timeline-marker ${marker.kind}`}
+            style={{ left: toPercent(marker.at), '--marker-color': marker.color }}
+            title={marker.label}
+          />
+        ))}
+        <div className="timeline-thumb" style={{ left: toPercent(elapsed) }} />
+      </div>
+    </div>
+  )
+}
+
+export default Timeline
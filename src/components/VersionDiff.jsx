@@ -0,0 +1,95 @@
+import { useMemo, useState } from 'react'
+import { X, RotateCcw } from 'lucide-react'
+import { diffWords, getPlannedMs, getVersionLabel } from '../lib/scriptHistory'
+import { formatDuration, formatWhen } from '../lib/formatTime'
+
+const CURRENT = 'current'
+
+const countWords = (parts, type) => parts
+  .filter(part => part.type === type)
+  .reduce((sum, part) => sum + (part.text.match(/\S+/g)?.length || 0), 0)
+
+// Word-level comparison of two versions of the script (or a version and the
+// current script), with their planned durations
+function VersionDiff({ versions, currentFields, initialId, onRestore, onClose }) {
+  const [fromId, setFromId] = useState(initialId)
+  const [toId, setToId] = useState(CURRENT)
+
+  const currentPlannedMs = useMemo(() => getPlannedMs(currentFields), [currentFields])
+  const options = [
+    { id: CURRENT, label: 'Current script', fields: currentFields, plannedMs: currentPlannedMs },
+    ...versions.map(version => ({
+      id: version.id,
+      label: `${getVersionLabel(version)} · ${formatWhen(version.createdAt)}`,
+      fields: version.fields,
+      plannedMs: version.plannedMs,
+      version
+    }))
+  ]
+  const from = options.find(option => option.id === fromId) || options[0]
+  const to = options.find(option => option.id === toId) || options[0]
+
+  const parts = useMemo(() => diffWords(from.fields.script, to.fields.script), [from.fields.script, to.fields.script])
+  // The From version, or the To one when comparing with the current script
+  const restorable = from.version || to.version
+  const added = countWords(parts, 'added')
+  const removed = countWords(parts, 'removed')
+
+  const renderPicker = (id, value, onChange) => (
+    <select id={id} value={value} onChange={(e) => onChange(e.target.value)}>
+      {options.map(option => (
+        <option key={option.id} value={option.id}>{option.label}</option>
+      ))}
+    </select>
+  )
+
+  return (
+    <div className="overlay-backdrop" onClick={onClose}>
+      <div className="version-diff" onClick={(e) => e.stopPropagation()}>
+        <div className="overlay-header">
+          <h2>Compare versions</h2>
+          <button className="overlay-close" onClick={onClose} title="Close">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="version-diff-pickers">
+          <label htmlFor="diff-from">From</label>
+          {renderPicker('diff-from', from.id, setFromId)}
+          <label htmlFor="diff-to">To</label>
+          {renderPicker('diff-to', to.id, setToId)}
+        </div>
+
+        <div className="take-summary">
+          <span>
+            {from.fields.script === to.fields.script
+              ? 'The script text is the same'
+              : `${added} ${added === 1 ? 'word' : 'words'} added, ${removed} removed`}
+          </span>
+          <span>
+            Planned duration {formatDuration(from.plannedMs)} → {formatDuration(to.plannedMs)}
+            {' '}({formatDuration(to.plannedMs - from.plannedMs, { signed: true })})
+          </span>
+        </div>
+
+        <div className="version-diff-text">
+          {parts.map((part, i) => (
+            <span key={i} className={`diff-${part.type}`}>{part.text}</span>
+          ))}
+        </div>
+
+        <div className="overlay-footer">
+          <span>Restoring also brings back the version's target time and speaker speeds and colors.</span>
+          {restorable && (
+            <button className="secondary-button" onClick={() => onRestore(restorable)}>
+              <RotateCcw size={14} />
+              Restore {restorable.name ? `"${restorable.name}"` : `the version from ${formatWhen(restorable.createdAt)}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default VersionDiff
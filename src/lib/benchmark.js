@@ -0,0 +1,71 @@
+// Playback benchmark: a generated long script and frame time statistics.
+// Open the app with ?view=benchmark (and optionally &words=50000&seconds=20).
+
+const VOCABULARY = [
+  'the', 'a', 'we', 'our', 'team', 'product', 'launch', 'today', 'customers', 'really', 'building',
+  'something', 'great', 'together', 'every', 'morning', 'people', 'quickly', 'interesting', 'video',
+  'studio', 'camera', 'story', 'because', 'thousands', 'of', 'new', 'ideas', 'and', 'simple', 'tools',
+  'that', 'help', 'everyone', 'focus', 'on', 'what', 'matters', 'most', 'in', '2024', 'NASA', 'API'
+]
+
+const SPEAKERS = ['Kevin', 'Mark', 'Ana']
+
+// Small deterministic generator so every run reads the same script
+function createRandom(seed) {
+  let state = seed
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296
+    return state / 4294967296
+  }
+}
+
+// A script of about `wordCount` words with speakers, headings, line breaks,
+// formatting spans and directives, like a long real script
+export function generateBenchmarkScript(wordCount, seed = 1) {
+  const random = createRandom(seed)
+  const pick = (items) => items[Math.floor(random() * items.length)]
+  const parts = []
+  let speaker = 0
+
+  for (let i = 0; i < wordCount; i++) {
+    if (i % 2000 === 0) parts.push(`\n# Part ${i / 2000 + 1}\n`)
+    if (i % 400 === 0) {
+      speaker = (speaker + 1) % SPEAKERS.length
+      parts.push(`\n[${SPEAKERS[speaker]}]:\n`)
+    }
+
+    let word = pick(VOCABULARY)
+    const roll = random()
+    if (roll < 0.02) word = `**${word} ${pick(VOCABULARY)}**`
+    else if (roll < 0.03) word = `==${word}==`
+    else if (roll < 0.035) word = `[pause] ${word}`
+    else if (roll < 0.1) word += pick([',', '.', '?'])
+    parts.push(word, random() < 0.03 ? '\n' : ' ')
+  }
+
+  return parts.join('')
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))]
+}
+
+// Summary of the intervals between animation frames, in milliseconds
+export function summarizeFrameTimes(frameTimes) {
+  const sorted = [...frameTimes].sort((a, b) => a - b)
+  const total = frameTimes.reduce((sum, time) => sum + time, 0)
+  const round = (value) => Math.round(value * 10) / 10
+
+  return {
+    frames: frameTimes.length,
+    fps: total > 0 ? round(frameTimes.length / (total / 1000)) : 0,
+    mean: round(frameTimes.length > 0 ? total / frameTimes.length : 0),
+    p50: round(percentile(sorted, 0.5)),
+    p95: round(percentile(sorted, 0.95)),
+    p99: round(percentile(sorted, 0.99)),
+    max: round(sorted[sorted.length - 1] || 0),
+    // Frames that took longer than one and a half 60 Hz frames
+    slow: frameTimes.filter(time => time > 25).length
+  }
+}
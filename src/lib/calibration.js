@@ -0,0 +1,136 @@
+// Calibration: learn each reader's timing coefficients from recorded takes.
+// Every section of a take where the reader set the pace is a sample: its
+// feature totals and how long the reader actually took. A ridge regression
+// pulls the coefficients towards the defaults (scaled to the reader's overall
+// pace) so a few takes are enough.
+
+import { FEATURES, DEFAULT_COEFFICIENTS } from './timingModel'
+
+// Sections needed before a reader gets a profile
+export const MIN_CALIBRATION_SECTIONS = 3
+
+// How strongly the defaults hold, in equivalent samples
+const PRIOR_STRENGTH = 4
+
+// Samples whose pace is this far off the reader's median are dropped (jumps, retakes)
+const OUTLIER_RATIO = 2.5
+
+// Key for a reader's profile: the speaker name, or '' for unattributed text
+export const getProfileKey = (speaker) => speaker || ''
+
+// Feature totals for each section, plus its fixed pauses and whether it holds
+export function getSectionFeatures(sectionBoundaries, allWords, wordFeatures) {
+  return sectionBoundaries.map(section => {
+    const totals = Object.fromEntries(FEATURES.map(feature => [feature, 0]))
+    let pauseMs = 0
+    let hasHold = false
+    for (let i = section.startIndex; i <= section.endIndex; i++) {
+      FEATURES.forEach(feature => {
+        totals[feature] += wordFeatures[i][feature]
+      })
+      pauseMs += allWords[i].pauseMs
+      hasHold = hasHold || allWords[i].hold
+    }
+    return { ...totals, pauseMs, hasHold }
+  })
+}
+
+// Usable samples from stored takes, grouped by reader. A take that was stopped
+// early leaves its last section half read, so that one is skipped. So are
+// sections read at the timed pace: they take as long as the model planned and
+// would only teach it its own coefficients.
+function collectSamples(takes) {
+  const samples = {}
+
+  takes.forEach(take => {
+    const reached = take.sections.filter(section => section.reachedAtMs !== null)
+    const usable = take.completed ? reached : reached.slice(0, -1)
+
+    usable.forEach(section => {
+      if (!section.readerPaced || !section.features || section.features.hasHold) return
+      const speakingMs = section.actualMs - section.features.pauseMs
+      if (speakingMs <= 0) return
+
+      const key = getProfileKey(section.speaker)
+      samples[key] = samples[key] || []
+      samples[key].push({ x: FEATURES.map(feature => section.features[feature]), y: speakingMs })
+    })
+  })
+
+  return samples
+}
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0)
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+// Solve a small linear system by Gaussian elimination with partial pivoting
+function solve(matrix, vector) {
+  const n = vector.length
+  const a = matrix.map((row, i) => [...row, vector[i]])
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row
+    }
+    const swap = a[col]
+    a[col] = a[pivot]
+    a[pivot] = swap
+    if (Math.abs(a[col][col]) < 1e-12) return null
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue
+      const factor = a[row][col] / a[col][col]
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k]
+    }
+  }
+
+  return a.map((row, i) => row[n] / row[i])
+}
+
+// Fit coefficients for one reader
+function fitReader(samples) {
+  const prior = FEATURES.map(feature => DEFAULT_COEFFICIENTS[feature])
+
+  // Overall pace relative to the defaults, used to drop outliers and scale the prior
+  const ratios = samples.map(sample => sample.y / dot(sample.x, prior))
+  const typical = median(ratios)
+  const kept = samples.filter((sample, i) => ratios[i] < typical * OUTLIER_RATIO && ratios[i] > typical / OUTLIER_RATIO)
+  if (kept.length < MIN_CALIBRATION_SECTIONS) return null
+
+  const scale = kept.reduce((sum, s) => sum + s.y * dot(s.x, prior), 0) /
+    kept.reduce((sum, s) => sum + dot(s.x, prior) ** 2, 0)
+  const scaledPrior = prior.map(c => c * scale)
+
+  // (XᵀX + Λ) c = Xᵀy + Λ c₀, with Λ scaled to each feature's typical size
+  const matrix = FEATURES.map((_, j) => FEATURES.map((_, k) => kept.reduce((sum, s) => sum + s.x[j] * s.x[k], 0)))
+  const vector = FEATURES.map((_, j) => kept.reduce((sum, s) => sum + s.x[j] * s.y, 0))
+  FEATURES.forEach((_, j) => {
+    const penalty = PRIOR_STRENGTH * Math.max(1e-6, matrix[j][j] / kept.length)
+    matrix[j][j] += penalty
+    vector[j] += penalty * scaledPrior[j]
+  })
+
+  const fitted = solve(matrix, vector) || scaledPrior
+  // Keep every coefficient positive and in a sane range of the scaled defaults
+  const coefficients = Object.fromEntries(FEATURES.map((feature, j) => [
+    feature,
+    Math.round(Math.min(scaledPrior[j] * 4, Math.max(scaledPrior[j] / 4, fitted[j])))
+  ]))
+
+  return { coefficients, samples: kept.length }
+}
+
+// Build reader profiles from every stored take
+export function calibrateProfiles(takes) {
+  const profiles = {}
+  Object.entries(collectSamples(takes)).forEach(([key, samples]) => {
+    const profile = fitReader(samples)
+    if (profile) profiles[key] = { ...profile, updatedAt: Date.now() }
+  })
+  return profiles
+}
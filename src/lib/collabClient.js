@@ -0,0 +1,232 @@
+// Browser side of collaborative editing: keeps the local script in step with
+// its room on the sync server and reports who else is in the room.
+//
+// Local edits go to the server one at a time. While one waits for the
+// server's acknowledgement, later ones are composed into a buffer, and edits
+// from others are transformed past both before they're applied here. After a
+// dropped connection, edits made offline are rebased onto the room's text when
+// the client joins again.
+
+import {
+  applyOperation,
+  composeOperations,
+  diffOperation,
+  isNoop,
+  transformIndex,
+  transformOperations
+} from './textOperation'
+
+const RECONNECT_DELAY_MS = 2000
+// Close code the server uses for a missing or wrong pairing token
+const UNAUTHORIZED_CLOSE = 4001
+
+const transformSelection = (selection, operation) => selection && {
+  anchor: transformIndex(selection.anchor, operation),
+  head: transformIndex(selection.head, operation)
+}
+
+// Join a room with the given text, using the server's pairing token.
+// Reconnects until closed, unless the server turns the token down.
+// onText receives the new text and the operation that made it whenever
+// someone else's edit arrives (or the room's text replaces ours on joining),
+// onPeers the others in the room, onStatus 'connecting' | 'connected' |
+// 'disconnected' | 'unauthorized'.
+export function connectCollab(url, { token, room, name, text: initialText, onText, onPeers, onStatus }) {
+  let socket = null
+  let closed = false
+  let reconnectTimer = null
+
+  // The text here, and the room's text at the last revision we've seen
+  let text = initialText
+  let revision = 0
+  let serverText = null
+  // Sent and not yet acknowledged, and waiting to be sent
+  let outstanding = null
+  let buffer = null
+  let joined = false
+
+  let presence = { selection: null, running: false }
+  const peers = new Map()
+
+  const send = (message) => {
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message))
+  }
+
+  const sendOperation = (operation) => {
+    outstanding = operation
+    send({ type: 'operation', revision, operation })
+  }
+
+  const emitPeers = () => onPeers([...peers.values()])
+
+  const updatePeers = (operation) => {
+    peers.forEach((peer, id) => {
+      peers.set(id, { ...peer, selection: transformSelection(peer.selection, operation) })
+    })
+    emitPeers()
+  }
+
+  // Take the room's text on joining. Anything edited here since the last
+  // revision we saw (or ever, on the first join) goes on top of it.
+  const handleJoined = (message) => {
+    // An edit whose acknowledgement was lost with the connection may be in already
+    if (outstanding && applyOperation(serverText, outstanding) === message.text) {
+      serverText = message.text
+    }
+
+    const local = serverText === null ? null : diffOperation(serverText, text)
+    const base = serverText ?? text
+    const remote = diffOperation(base, message.text)
+
+    let pending = null
+    let incoming = remote
+    if (local && !isNoop(local)) {
+      [pending, incoming] = transformOperations(local, remote)
+    }
+
+    revision = message.revision
+    serverText = message.text
+    outstanding = null
+    buffer = null
+    joined = true
+
+    if (serverText !== text || pending) {
+      const previous = text
+      text = pending ? applyOperation(message.text, pending) : message.text
+      if (text !== previous) onText(text, incoming)
+    }
+    if (pending && !isNoop(pending)) sendOperation(pending)
+
+    peers.clear()
+    message.peers.forEach(peer => peers.set(peer.clientId, peer))
+    emitPeers()
+    send({ type: 'presence', ...presence })
+    onStatus('connected')
+  }
+
+  const handleAck = (message) => {
+    serverText = applyOperation(serverText, outstanding)
+    revision = message.revision
+    outstanding = null
+    if (buffer) {
+      const next = buffer
+      buffer = null
+      sendOperation(next)
+    }
+  }
+
+  // Someone else's edit, made on the room's text before ours not yet acknowledged
+  const handleOperation = (message) => {
+    let operation = message.operation
+    serverText = applyOperation(serverText, operation)
+    revision = message.revision
+    if (outstanding) [outstanding, operation] = transformOperations(outstanding, operation)
+    if (buffer) [buffer, operation] = transformOperations(buffer, operation)
+
+    text = applyOperation(text, operation)
+    onText(text, operation)
+    updatePeers(operation)
+  }
+
+  const handleMessage = (message) => {
+    switch (message.type) {
+      case 'joined':
+        handleJoined(message)
+        break
+      case 'ack':
+        handleAck(message)
+        break
+      case 'operation':
+        handleOperation(message)
+        break
+      case 'presence':
+        peers.set(message.peer.clientId, message.peer)
+        emitPeers()
+        break
+      case 'leave':
+        peers.delete(message.clientId)
+        emitPeers()
+        break
+      case 'error':
+        console.warn('Collaboration server:', message.error)
+        // Our copy is out of step; joining again catches up
+        if (message.resync) socket?.close()
+        break
+    }
+  }
+
+  const connect = () => {
+    onStatus('connecting')
+    joined = false
+    try {
+      const target = new URL(url)
+      target.searchParams.set('token', token)
+      socket = new WebSocket(target)
+    } catch {
+      onStatus('disconnected')
+      return
+    }
+
+    socket.onopen = () => {
+      send({ type: 'join', room, name, text })
+    }
+    socket.onmessage = (event) => {
+      try {
+        handleMessage(JSON.parse(event.data))
+      } catch (err) {
+        console.warn('Could not apply a collaboration message:', err.message)
+        socket?.close()
+      }
+    }
+    socket.onclose = (event) => {
+      socket = null
+      joined = false
+      peers.clear()
+      emitPeers()
+      if (closed) return
+      if (event.code === UNAUTHORIZED_CLOSE) {
+        onStatus('unauthorized')
+        return
+      }
+      onStatus('disconnected')
+      reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS)
+    }
+    socket.onerror = () => {
+      // onclose follows and schedules the reconnect
+    }
+  }
+
+  connect()
+
+  return {
+    // Pass on a local edit, given the whole new text
+    update(newText) {
+      if (newText === text) return
+      const operation = diffOperation(text, newText)
+      text = newText
+      updatePeers(operation)
+      if (!joined) return
+
+      if (outstanding) {
+        buffer = buffer ? composeOperations(buffer, operation) : operation
+      } else {
+        sendOperation(operation)
+      }
+    },
+    // Our caret ({ anchor, head } or null) and whether the prompter is running
+    setPresence(update) {
+      const next = { ...presence, ...update }
+      if (next.running === presence.running &&
+        next.selection?.anchor === presence.selection?.anchor &&
+        next.selection?.head === presence.selection?.head) return
+      presence = next
+      if (joined) send({ type: 'presence', ...presence })
+    },
+    close() {
+      closed = true
+      clearTimeout(reconnectTimer)
+      socket?.close()
+      onStatus('disconnected')
+    }
+  }
+}
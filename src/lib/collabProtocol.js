@@ -0,0 +1,69 @@
+// Collaborative editing protocol shared by the app and the sync server.
+// Plain JS with no browser or Node globals so both sides can import it.
+//
+// Each room on the server holds one script. Clients send:
+//   { type: 'join', room, name, text }           first message; `text` starts a new room
+//   { type: 'operation', revision, operation }    an edit made at that revision (see textOperation.js)
+//   { type: 'presence', selection, running }      caret { anchor, head } or null, and whether the
+//                                                 prompter is running
+// and the server answers with:
+//   { type: 'joined', clientId, color, revision, text, peers }
+//   { type: 'ack', revision }                     the client's edit is in, making this revision
+//   { type: 'operation', revision, operation, clientId }
+//   { type: 'presence', peer }                    peer: { clientId, name, color, selection, running }
+//   { type: 'leave', clientId }
+//   { type: 'error', error, resync }              with resync, join again to catch up
+
+// The extension is needed when Node loads this for the server
+import { isOperation } from './textOperation.js'
+
+export const DEFAULT_COLLAB_PORT = 8788
+
+const MAX_NAME_LENGTH = 40
+const MAX_ROOM_LENGTH = 80
+
+// Presence colors, handed out in order as people join a room
+export const PRESENCE_COLORS = ['#f97316', '#22c55e', '#ec4899', '#06b6d4', '#a855f7', '#eab308', '#ff6b6b', '#4ecdc4']
+
+const isIndex = (value) => Number.isInteger(value) && value >= 0
+
+function parseSelection(selection) {
+  if (selection === null || selection === undefined) return null
+  if (typeof selection !== 'object' || !isIndex(selection.anchor) || !isIndex(selection.head)) {
+    throw new Error('presence needs "selection" as { anchor, head } or null')
+  }
+  return { anchor: selection.anchor, head: selection.head }
+}
+
+// Validate a message from a client and return a normalized copy, or throw an Error
+export function parseClientMessage(message) {
+  if (!message || typeof message !== 'object') {
+    throw new Error('Message must be an object')
+  }
+
+  switch (message.type) {
+    case 'join': {
+      const room = typeof message.room === 'string' ? message.room.trim() : ''
+      if (!room || room.length > MAX_ROOM_LENGTH) {
+        throw new Error(`join needs a "room" name of 1 to ${MAX_ROOM_LENGTH} characters`)
+      }
+      if (message.text !== undefined && typeof message.text !== 'string') {
+        throw new Error('join needs "text" as a string')
+      }
+      const name = typeof message.name === 'string' ? message.name.trim().slice(0, MAX_NAME_LENGTH) : ''
+      return { type: 'join', room, name: name || 'Guest', text: message.text ?? '' }
+    }
+    case 'operation':
+      if (!isIndex(message.revision)) {
+        throw new Error('operation needs a "revision" number')
+      }
+      if (!isOperation(message.operation)) {
+        throw new Error('operation needs a valid "operation"')
+      }
+      return { type: 'operation', revision: message.revision, operation: message.operation }
+    case 'presence':
+      return { type: 'presence', selection: parseSelection(message.selection), running: Boolean(message.running) }
+    default:
+      throw new Error(`Unknown message type: ${message.type}`)
+  }
+}
@@ -0,0 +1,59 @@
+// Shared IndexedDB database for scripts, take logs and script versions
+
+const DB_NAME = 'teleprompter'
+const DB_VERSION = 3
+
+export const SCRIPTS_STORE = 'scripts'
+export const TAKES_STORE = 'takes'
+export const VERSIONS_STORE = 'versions'
+
+let dbPromise = null
+
+// Wrap an IDBRequest in a promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(SCRIPTS_STORE)) {
+          db.createObjectStore(SCRIPTS_STORE, { keyPath: 'id' })
+        }
+        // Version 2: take logs, looked up per script
+        if (!db.objectStoreNames.contains(TAKES_STORE)) {
+          const takes = db.createObjectStore(TAKES_STORE, { keyPath: 'id' })
+          takes.createIndex('scriptId', 'scriptId')
+        }
+        // Version 3: saved versions of each script
+        if (!db.objectStoreNames.contains(VERSIONS_STORE)) {
+          const versions = db.createObjectStore(VERSIONS_STORE, { keyPath: 'id' })
+          versions.createIndex('scriptId', 'scriptId')
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Try opening it again next time, e.g. once storage is allowed
+    dbPromise.catch(() => {
+      dbPromise = null
+    })
+  }
+  return dbPromise
+}
+
+// Run a single request against an object store
+export async function withStore(storeName, mode, callback) {
+  const db = await openDatabase()
+  return promisify(callback(db.transaction(storeName, mode).objectStore(storeName)))
+}
+
+export function createId() {
+  return crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+}
@@ -0,0 +1,85 @@
+// Inline pacing directives in the script text:
+//   [pause 1.5s]  fixed pause (also 500ms, or a bare number of seconds)
+//   [slow] ... [/slow], [fast] ... [/fast], [speed 1.2] ... [/speed]  tempo regions
+//   [hold]  stop until the operator continues
+//   [budget 15s]  time budget for the whole section it's in
+//   [rtl], [ltr]  text direction of the whole section it's in
+// Speaker markers always end in a colon ('[Kevin]:'), directives never do.
+
+export const DEFAULT_PAUSE_MS = 1000
+export const TEMPO_PRESETS = { slow: 0.75, fast: 1.25 }
+
+const DIRECTIVE_PATTERN = /\[(\/?)(pause|slow|fast|speed|hold|budget|rtl|ltr)(?:\s+([^\]]*))?\](?!:)/gi
+
+// '1.5s' -> 1500, '500ms' -> 500, '2' -> 2000
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|sec|seconds?)?$/i.exec(value.trim())
+  if (!match) return null
+  const amount = parseFloat(match[1])
+  return match[2]?.toLowerCase() === 'ms' ? amount : amount * 1000
+}
+
+// Turn the parts of a matched directive into a directive object, or null if
+// it isn't valid (it's then left in the text as written)
+function toDirective(closing, name, arg = '') {
+  const kind = name.toLowerCase()
+
+  if (closing) {
+    return ['pause', 'hold', 'budget', 'rtl', 'ltr'].includes(kind) ? null : { type: 'tempo-end', kind, label: `/${kind}` }
+  }
+
+  switch (kind) {
+    case 'pause': {
+      const ms = arg.trim() ? parseDuration(arg) : DEFAULT_PAUSE_MS
+      return ms === null ? null : { type: 'pause', ms, label: `pause ${+(ms / 1000).toFixed(2)}s` }
+    }
+    case 'budget': {
+      const ms = parseDuration(arg)
+      return ms ? { type: 'budget', ms, label: `budget ${+(ms / 1000).toFixed(2)}s` } : null
+    }
+    case 'hold':
+      return arg.trim() ? null : { type: 'hold', label: 'hold' }
+    case 'rtl':
+    case 'ltr':
+      return arg.trim() ? null : { type: 'direction', direction: kind, label: kind }
+    case 'speed': {
+      const speed = parseFloat(arg)
+      return speed > 0 ? { type: 'tempo', kind, speed, label: `${speed}x` } : null
+    }
+    default:
+      return arg.trim() ? null : { type: 'tempo', kind, speed: TEMPO_PRESETS[kind], label: kind }
+  }
+}
+
+// Split a line into plain-text chunks and directives, in order
+export function splitDirectives(line) {
+  const parts = []
+  let lastIndex = 0
+  let match
+
+  DIRECTIVE_PATTERN.lastIndex = 0
+  while ((match = DIRECTIVE_PATTERN.exec(line)) !== null) {
+    const directive = toDirective(match[1] === '/', match[2], match[3])
+    if (!directive) continue
+    if (match.index > lastIndex) parts.push({ text: line.slice(lastIndex, match.index) })
+    parts.push({ directive, raw: match[0] })
+    lastIndex = match.index + match[0].length
+  }
+  if (lastIndex < line.length) parts.push({ text: line.slice(lastIndex) })
+
+  return parts
+}
+
+// Tempo multiplier from the stack of open tempo regions; a closing tag ends
+// the most recent region of its kind
+export function applyTempoDirective(stack, directive) {
+  if (directive.type === 'tempo') return [...stack, directive]
+  if (directive.type !== 'tempo-end') return stack
+
+  const index = stack.map(d => d.kind).lastIndexOf(directive.kind)
+  return index === -1 ? stack : [...stack.slice(0, index), ...stack.slice(index + 1)]
+}
+
+export function getTempo(stack) {
+  return stack.length > 0 ? stack[stack.length - 1].speed : 1
+}
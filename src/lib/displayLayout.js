@@ -0,0 +1,36 @@
+// Text layout settings for the playback view: font size, line spacing, column
+// width and where the reading line sits. They're applied as CSS custom
+// properties on the playback frame.
+
+export const DEFAULT_DISPLAY_LAYOUT = {
+  fontScale: 1,
+  lineHeight: 2.5,
+  columnWidth: 100,
+  readingLine: 0.5
+}
+
+export const DISPLAY_LAYOUT_CONTROLS = [
+  { key: 'fontScale', label: 'Font size', min: 0.5, max: 2, step: 0.05, format: (v) => `${Math.round(v * 100)}%` },
+  { key: 'lineHeight', label: 'Line height', min: 1.2, max: 3.5, step: 0.1, format: (v) => v.toFixed(1) },
+  { key: 'columnWidth', label: 'Column width', min: 40, max: 100, step: 5, format: (v) => `${v}%` },
+  { key: 'readingLine', label: 'Reading line', min: 0.1, max: 0.9, step: 0.05, format: (v) => `${Math.round(v * 100)}%` }
+]
+
+// Keep stored values within the controls' ranges
+export function normalizeDisplayLayout(value) {
+  const layout = { ...DEFAULT_DISPLAY_LAYOUT }
+  DISPLAY_LAYOUT_CONTROLS.forEach(({ key, min, max }) => {
+    const number = Number(value?.[key])
+    if (Number.isFinite(number)) layout[key] = Math.min(max, Math.max(min, number))
+  })
+  return layout
+}
+
+export function getDisplayLayoutStyle({ fontScale, lineHeight, columnWidth, readingLine }) {
+  return {
+    '--font-scale': fontScale,
+    '--line-height': lineHeight,
+    '--column-width': `${columnWidth}%`,
+    '--reading-line': readingLine
+  }
+}
@@ -0,0 +1,25 @@
+// Display transforms for beam-splitter teleprompter glass
+
+export const DEFAULT_DISPLAY_TRANSFORM = { mirrorX: false, flipY: false, rotation: 0 }
+
+export const ROTATIONS = [0, 90, 180, 270]
+
+// Quarter turns swap the width and height of the playback area
+export function isQuarterTurn({ rotation }) {
+  return rotation === 90 || rotation === 270
+}
+
+// Build the CSS transform for the playback frame. This is applied to a wrapper
+// around the scrolling content, so it never mixes with the scroll translateY.
+export function getDisplayTransformCSS(displayTransform) {
+  const { mirrorX, flipY, rotation } = displayTransform
+  const parts = []
+
+  // Quarter-turned frames are centered in their parent before rotating
+  if (isQuarterTurn(displayTransform)) parts.push('translate(-50%, -50%)')
+  if (rotation) parts.push(`rotate(${rotation}deg)`)
+  if (mirrorX) parts.push('scaleX(-1)')
+  if (flipY) parts.push('scaleY(-1)')
+
+  return parts.length > 0 ? parts.join(' ') : 'none'
+}
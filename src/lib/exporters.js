@@ -0,0 +1,124 @@
+// Export the planned timing schedule as captions (SRT / WebVTT) and a JSON cue sheet
+
+// Longest caption before it's split, even mid-sentence
+const MAX_CAPTION_WORDS = 14
+
+// Group words into caption lines with start and end times. Captions break at
+// section boundaries, and at sentence ends ('sentence') or script line breaks ('line').
+export function buildCaptions(allWords, sectionBoundaries, wordStartTimes, wordTimings, groupBy = 'sentence') {
+  const captions = []
+
+  sectionBoundaries.forEach(section => {
+    let current = null
+
+    const finish = () => {
+      if (current) captions.push(current)
+      current = null
+    }
+
+    for (let i = section.startIndex; i <= section.endIndex; i++) {
+      const word = allWords[i]
+      // Struck-through words aren't read
+      if (word.skip) continue
+      if (current && groupBy === 'line' && word.isLineStart) finish()
+      if (current && current.words.length >= MAX_CAPTION_WORDS) finish()
+
+      if (!current) {
+        current = { start: wordStartTimes[i], end: 0, speaker: section.speaker, words: [] }
+      }
+      current.words.push(word)
+      current.end = wordStartTimes[i] + wordTimings[i]
+
+      if (groupBy === 'sentence' && /[.!?。！？]["')\]”’」』]*$/.test(word.text)) finish()
+    }
+    finish()
+  })
+
+  // Words written without spaces between them (see scriptParser.js) stay joined
+  return captions.map(({ words, ...caption }) => ({
+    ...caption,
+    text: words.map((word, i) => word.text + (i < words.length - 1 && !word.joined ? ' ' : '')).join('')
+  }))
+}
+
+// 75250 -> '00:01:15,250' (SRT) or '00:01:15.250' (WebVTT)
+function formatTimestamp(ms, separator) {
+  const total = Math.max(0, Math.round(ms))
+  const hours = Math.floor(total / 3600000)
+  const minutes = Math.floor(total / 60000) % 60
+  const seconds = Math.floor(total / 1000) % 60
+  const millis = total % 1000
+  const pad = (n, width = 2) => n.toString().padStart(width, '0')
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`
+}
+
+export function formatSrt(captions) {
+  return captions
+    .map((caption, i) => [
+      i + 1,
+      `${formatTimestamp(caption.start, ',')} --> ${formatTimestamp(caption.end, ',')}`,
+      caption.speaker ? `${caption.speaker}: ${caption.text}` : caption.text
+    ].join('\n'))
+    .join('\n\n') + '\n'
+}
+
+// WebVTT cue text is markup, so '&', '<' and '>' are written as entities.
+// Escaping '>' also keeps '-->', which would start a new cue, out of the text.
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+export function formatWebVtt(captions) {
+  const cues = captions.map(caption => [
+    `${formatTimestamp(caption.start, '.')} --> ${formatTimestamp(caption.end, '.')}`,
+    caption.speaker ? `<v ${escapeVtt(caption.speaker)}>${escapeVtt(caption.text)}` : escapeVtt(caption.text)
+  ].join('\n'))
+  return ['WEBVTT', ...cues].join('\n\n') + '\n'
+}
+
+// Per-word cue sheet for editing pipelines. Times are in milliseconds.
+export function buildCueSheet({ name, targetTimeMs, allWords, sectionBoundaries, wordStartTimes, wordTimings }) {
+  const round = (ms) => Math.round(ms)
+
+  return {
+    format: 'teleprompter-cue-sheet',
+    version: 1,
+    name,
+    targetTimeMs: round(targetTimeMs),
+    sections: sectionBoundaries.map((section, index) => ({
+      index,
+      speaker: section.speaker,
+      firstWord: section.startIndex,
+      lastWord: section.endIndex,
+      start: round(wordStartTimes[section.startIndex]),
+      duration: round(wordStartTimes[section.endIndex] + wordTimings[section.endIndex] - wordStartTimes[section.startIndex])
+    })),
+    words: sectionBoundaries.flatMap((section, sectionIndex) => {
+      const words = []
+      for (let i = section.startIndex; i <= section.endIndex; i++) {
+        words.push({
+          index: i,
+          word: allWords[i].text,
+          speaker: section.speaker,
+          section: sectionIndex,
+          start: round(wordStartTimes[i]),
+          duration: round(wordTimings[i])
+        })
+      }
+      return words
+    })
+  }
+}
+
+// File-name-safe version of a script name
+export function toFileName(name) {
+  return (name || 'script').trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'script'
+}
+
+// Offer text content as a file download
+export function downloadTextFile(fileName, content, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
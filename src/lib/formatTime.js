@@ -0,0 +1,20 @@
+// Durations and times as shown in the app
+
+// 65400 -> '1:05', -1200 -> '-0:01'. With `signed`, positive durations get a
+// '+'; with `tenths`, a tenth of a second is added ('1:05.4').
+export function formatDuration(ms, { signed = false, tenths = false } = {}) {
+  const sign = ms < 0 ? '-' : signed ? '+' : ''
+  const units = Math.round(Math.abs(ms) / (tenths ? 100 : 1000))
+  const seconds = tenths ? Math.floor(units / 10) : units
+  const clock = `${sign}${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`
+  return tenths ? `${clock}.${units % 10}` : clock
+}
+
+// Seconds under a minute, a clock past it: 15400 -> '15.4s', 75000 -> '1:15'
+export function formatShortDuration(ms) {
+  const seconds = Math.round(ms / 100) / 10
+  return seconds < 60 ? `${seconds}s` : formatDuration(ms)
+}
+
+// When something was saved, e.g. 'Oct 19, 02:15 PM'
+export const formatWhen = (time) => new Date(time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
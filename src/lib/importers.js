@@ -0,0 +1,377 @@
+// Convert script files from other tools into the [Speaker]: script syntax
+
+import { unzipSync, strFromU8 } from 'fflate'
+import { HEADING_PATTERN } from './scriptParser'
+
+// File extensions the importer understands, for the file picker
+export const IMPORT_ACCEPT = '.txt,.md,.markdown,.docx,.srt,.vtt,.fountain,.spmd'
+
+const SPEAKER_MARKER = /\[[^\]]+\]:/
+// Shorter silences between subtitle cues are just the gap before the next line
+const MIN_SUBTITLE_PAUSE_MS = 500
+
+// Wrap a span in a formatting marker, keeping the markers next to its text:
+// ' two words ' -> ' **two words** '
+function emphasize(text, marker) {
+  const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/)
+  return inner ? `${before}${marker}${inner}${marker}${after}` : text
+}
+
+// Rewrite inline emphasis spans in the script's markers.
+// In Fountain, _underline_ has no script equivalent and is dropped.
+function convertInlineEmphasis(text, { underscoreIsUnderline = false } = {}) {
+  let result = text
+    // ***bold italic*** is kept as bold
+    .replace(/\*\*\*(?!\s)([^*]+?)(?<!\s)\*\*\*/g, (_, inner) => emphasize(inner, '**'))
+    .replace(/(?<![*\w])\*(?![*\s])([^*]+?)(?<!\s)\*(?![*\w])/g, (_, inner) => emphasize(inner, '*'))
+    .replace(/\*\*(?!\s)([^*]+?)(?<!\s)\*\*/g, (_, inner) => emphasize(inner, '**'))
+
+  if (underscoreIsUnderline) {
+    result = result.replace(/(?<![_\w])_(?![_\s])([^_]+?)(?<!\s)_(?![_\w])/g, '$1')
+  } else {
+    result = result
+      .replace(/(?<![_\w])_(?![_\s])([^_]+?)(?<!\s)_(?![_\w])/g, (_, inner) => emphasize(inner, '*'))
+      .replace(/__(?!\s)([^_]+?)(?<!\s)__/g, (_, inner) => emphasize(inner, '**'))
+  }
+  return result
+}
+
+// 'KEVIN' -> 'Kevin', 'mary-jane' stays as written
+function formatSpeakerName(name) {
+  const trimmed = name.trim()
+  if (trimmed !== trimmed.toUpperCase()) return trimmed
+  return trimmed.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (_, sep, letter) => sep + letter.toUpperCase())
+}
+
+const CUE_PATTERN = /^\s*(?:\*\*)?([\p{L}][\p{L}\p{N} .'-]{0,30}?)(?:\*\*)?\s*:(?:\*\*)?\s*(.*)$/u
+const NOT_SPEAKERS = /^(https?|ftp|mailto|note|notes|re|subject)$/i
+
+// Turn transcript-style 'NAME: line' prefixes into [Speaker]: markers. A name
+// counts as a speaker if it's written in capitals, prefixes two or more lines,
+// or is listed in knownSpeakers.
+function detectSpeakers(lines, knownSpeakers = new Set()) {
+  const counts = new Map()
+  lines.forEach(line => {
+    const match = line.match(CUE_PATTERN)
+    if (match && !NOT_SPEAKERS.test(match[1])) {
+      counts.set(match[1], (counts.get(match[1]) || 0) + 1)
+    }
+  })
+
+  const isSpeaker = (name) => {
+    if (NOT_SPEAKERS.test(name)) return false
+    return knownSpeakers.has(name) || counts.get(name) >= 2 ||
+      (name === name.toUpperCase() && /\p{Lu}{2,}/u.test(name))
+  }
+
+  const output = []
+  let current = null
+  lines.forEach(line => {
+    const match = line.match(CUE_PATTERN)
+    if (!match || !isSpeaker(match[1])) {
+      output.push(line)
+      return
+    }
+
+    const speaker = formatSpeakerName(match[1])
+    if (speaker !== current) {
+      // A heading just above the cue titles the new speaker's first section
+      const headings = []
+      while (output.length > 0 && (!output[output.length - 1].trim() || HEADING_PATTERN.test(output[output.length - 1]))) {
+        const last = output.pop()
+        if (last.trim()) headings.unshift(last)
+      }
+      if (output.length > 0) output.push('')
+      output.push(`[${speaker}]:`, ...headings)
+      current = speaker
+    }
+    if (match[2].trim()) output.push(match[2].trim())
+  })
+  return output
+}
+
+// Tidy up blank lines
+function finishScript(lines) {
+  return lines.join('\n').replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim()
+}
+
+export function convertPlainText(text) {
+  const normalized = text.replace(/\r\n?/g, '\n')
+  // Already in script syntax
+  if (SPEAKER_MARKER.test(normalized)) return { script: normalized.trim() }
+  return { script: finishScript(detectSpeakers(normalized.split('\n'))) }
+}
+
+export function convertMarkdown(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n')
+  const converted = []
+
+  lines.forEach(line => {
+    // Headings become section headings
+    const heading = HEADING_PATTERN.exec(line)
+    if (heading) {
+      converted.push(`# ${convertInlineEmphasis(heading[1])}`)
+      return
+    }
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      converted.push('')
+      return
+    }
+
+    const cleaned = line
+      .replace(/^\s{0,3}>\s?/, '')
+      .replace(/^\s*([-*+]|\d+[.)])\s+/, '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/`([^`]*)`/g, '$1')
+    converted.push(convertInlineEmphasis(cleaned))
+  })
+
+  if (SPEAKER_MARKER.test(converted.join('\n'))) return { script: finishScript(converted) }
+  return { script: finishScript(detectSpeakers(converted)) }
+}
+
+// Parse an SRT/WebVTT timestamp to milliseconds
+function parseTimestamp(value) {
+  const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/)
+  if (!match) return null
+  const [, hours = '0', minutes, seconds, millis] = match
+  return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(millis.padEnd(3, '0'))
+}
+
+// Parse SRT or WebVTT cues into { start, end, lines }
+export function parseSubtitleCues(text) {
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/)
+  const cues = []
+
+  blocks.forEach(block => {
+    const lines = block.split('\n').filter(l => l.trim())
+    const timingIndex = lines.findIndex(l => l.includes('-->'))
+    if (timingIndex < 0) return
+
+    const [startText, endText] = lines[timingIndex].split('-->')
+    const start = parseTimestamp(startText)
+    const end = parseTimestamp(endText)
+    if (start === null || end === null) return
+
+    cues.push({ start, end, lines: lines.slice(timingIndex + 1) })
+  })
+
+  return cues
+}
+
+// Convert a subtitle cue's markup (<i>, <b>, <v Name>) into script syntax
+function convertCueLine(line, knownSpeakers) {
+  let speaker = null
+  let text = line.replace(/<v(?:\.[^\s>]+)?\s+([^>]+)>/, (_, name) => {
+    speaker = name.trim()
+    return ''
+  })
+
+  text = text
+    .replace(/<i>([\s\S]*?)<\/i>/g, (_, inner) => emphasize(inner.trim(), '*'))
+    .replace(/<b>([\s\S]*?)<\/b>/g, (_, inner) => emphasize(inner.trim(), '**'))
+    .replace(/<[^>]+>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/^\s*-\s+/, '')
+    .trim()
+
+  if (speaker) {
+    knownSpeakers.add(speaker)
+    return `${speaker}: ${text}`
+  }
+  return text
+}
+
+// '[pause 1.5s]' for a silence in the subtitles
+const toPause = (ms) => `[pause ${Math.round(ms / 100) / 10}s]`
+
+// Subtitles: one line per cue. Cue timings become timing hints: silences
+// between cues (and before the first one) become [pause] directives, and the
+// target time is taken from the end of the last cue.
+export function convertSubtitles(text) {
+  const cues = parseSubtitleCues(text)
+  if (cues.length === 0) {
+    throw new Error('No subtitle cues found')
+  }
+
+  const knownSpeakers = new Set()
+  const lines = []
+  if (cues[0].start >= MIN_SUBTITLE_PAUSE_MS) lines.push(toPause(cues[0].start))
+  cues.forEach((cue, i) => {
+    const cueLines = cue.lines.map(line => convertCueLine(line, knownSpeakers)).filter(Boolean)
+    // Lines starting with a dash are separate speakers; otherwise a cue is one line
+    if (cue.lines.some(line => /^\s*-\s/.test(line))) {
+      lines.push(...cueLines)
+    } else if (cueLines.length > 0) {
+      lines.push(cueLines.join(' '))
+    }
+
+    // A pause applies to the word after it, so it goes at the end of the
+    // line, where it doesn't hide a 'NAME:' prefix from detectSpeakers
+    const next = cues[i + 1]
+    if (next && next.start - cue.end >= MIN_SUBTITLE_PAUSE_MS && lines.length > 0) {
+      lines[lines.length - 1] += ` ${toPause(next.start - cue.end)}`
+    }
+  })
+
+  return {
+    script: finishScript(detectSpeakers(lines, knownSpeakers)),
+    targetTimeMs: Math.ceil(cues[cues.length - 1].end / 1000) * 1000
+  }
+}
+
+const FOUNTAIN_TITLE_KEY = /^\s*(title|credit|authors?|source|draft date|date|contact|copyright|notes)\s*:/i
+const SCENE_HEADING = /^(int|ext|est|int\.?\/ext|i\/e)[. ]/i
+
+// A Fountain character cue: a line in capitals (or forced with @), optionally
+// followed by an extension such as (V.O.) and a ^ for dual dialogue
+function isCharacterCue(line) {
+  if (line.startsWith('@')) return line.length > 1
+  if (/^[!.>#=~]/.test(line) || SCENE_HEADING.test(line) || /TO:$/.test(line)) return false
+  const name = line.replace(/\s*\^$/, '').replace(/\s*\(.*?\)/g, '').trim()
+  return /\p{L}/u.test(name) && name === name.toUpperCase()
+}
+
+// Fountain screenplays: character cues become speakers and their dialogue is
+// kept. Scene headings, action, transitions, notes and parentheticals aren't
+// read aloud and are dropped.
+export function convertFountain(text) {
+  const source = text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\[\[[\s\S]*?\]\]/g, '')
+  const lines = source.split('\n')
+  const output = []
+
+  let i = 0
+  if (FOUNTAIN_TITLE_KEY.test(lines[0] || '')) {
+    while (i < lines.length && lines[i].trim() !== '') i++
+  }
+
+  for (; i < lines.length; i++) {
+    const line = lines[i].trim()
+    const prevBlank = i === 0 || lines[i - 1].trim() === ''
+    const next = lines[i + 1]
+
+    if (!prevBlank || !line || !isCharacterCue(line) || !next || !next.trim()) continue
+
+    const name = line.replace(/^@/, '').replace(/\s*\^$/, '').replace(/\s*\(.*?\)/g, '')
+    output.push('', `[${formatSpeakerName(name)}]:`)
+
+    i++
+    while (i < lines.length && lines[i].trim() !== '') {
+      const dialogue = lines[i].trim()
+      if (!/^\(.*\)$/.test(dialogue)) {
+        output.push(convertInlineEmphasis(dialogue.replace(/^~\s*/, ''), { underscoreIsUnderline: true }))
+      }
+      i++
+    }
+  }
+
+  if (output.length === 0) {
+    throw new Error('No dialogue found in the Fountain file')
+  }
+  return { script: finishScript(output) }
+}
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main'
+
+// Whether a run property such as <w:b/> is switched on
+function isRunPropertyOn(rPr, name) {
+  const el = rPr?.getElementsByTagNameNS(WORD_NS, name)[0]
+  if (!el) return false
+  const val = el.getAttributeNS(WORD_NS, 'val') || el.getAttribute('w:val')
+  return !val || !['0', 'false', 'none'].includes(val)
+}
+
+// Text of one <w:p> paragraph, with bold and italic runs marked up
+function convertDocxParagraph(paragraph) {
+  const segments = []
+
+  Array.from(paragraph.getElementsByTagNameNS(WORD_NS, 'r')).forEach(run => {
+    const rPr = run.getElementsByTagNameNS(WORD_NS, 'rPr')[0]
+    const bold = isRunPropertyOn(rPr, 'b')
+    const italic = isRunPropertyOn(rPr, 'i')
+    let text = ''
+    Array.from(run.childNodes).forEach(node => {
+      if (node.localName === 't') text += node.textContent
+      else if (node.localName === 'tab') text += ' '
+      else if (node.localName === 'br' || node.localName === 'cr') text += '\n'
+    })
+    if (!text) return
+
+    // Word often splits a word across runs with the same formatting
+    const last = segments[segments.length - 1]
+    if (last && last.bold === bold && last.italic === italic) {
+      last.text += text
+    } else {
+      segments.push({ text, bold, italic })
+    }
+  })
+
+  return segments
+    .map(({ text, bold, italic }) => (bold ? emphasize(text, '**') : italic ? emphasize(text, '*') : text))
+    .join('')
+}
+
+export function convertDocx(buffer) {
+  let files
+  try {
+    files = unzipSync(new Uint8Array(buffer), { filter: file => file.name === 'word/document.xml' })
+  } catch {
+    throw new Error('This .docx file could not be opened')
+  }
+  const xml = files['word/document.xml']
+  if (!xml) {
+    throw new Error('Not a Word document (word/document.xml is missing)')
+  }
+
+  const doc = new DOMParser().parseFromString(strFromU8(xml), 'application/xml')
+  const body = doc.getElementsByTagNameNS(WORD_NS, 'body')[0]
+  if (!body) {
+    throw new Error('This .docx file has no document body')
+  }
+
+  const lines = Array.from(body.getElementsByTagNameNS(WORD_NS, 'p'))
+    .flatMap(paragraph => convertDocxParagraph(paragraph).split('\n'))
+
+  if (SPEAKER_MARKER.test(lines.join('\n'))) return { script: finishScript(lines) }
+  return { script: finishScript(detectSpeakers(lines)) }
+}
+
+// Read a dropped or picked file and convert it to script syntax.
+// Resolves to { name, script, targetTimeMs? }.
+export async function importScriptFile(file) {
+  const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : ''
+  const name = file.name.replace(/\.[^.]+$/, '')
+
+  let result
+  switch (extension) {
+    case 'txt':
+      result = convertPlainText(await file.text())
+      break
+    case 'md':
+    case 'markdown':
+      result = convertMarkdown(await file.text())
+      break
+    case 'srt':
+    case 'vtt':
+      result = convertSubtitles(await file.text())
+      break
+    case 'fountain':
+    case 'spmd':
+      result = convertFountain(await file.text())
+      break
+    case 'docx':
+      result = convertDocx(await file.arrayBuffer())
+      break
+    default:
+      throw new Error(`Can't import .${extension || '?'} files (supported: ${IMPORT_ACCEPT.replaceAll(',', ', ')})`)
+  }
+
+  if (!result.script.trim()) {
+    throw new Error(`${file.name} has no script text`)
+  }
+  return { name, ...result }
+}
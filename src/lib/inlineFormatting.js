@@ -0,0 +1,190 @@
+// Inline formatting in the script text. Spans can cover any number of words:
+//   **bold** or __bold__, *italic* or _italic_, ==highlight== (an emphasis cue),
+//   ++underline++, ~~strikethrough~~ (words to skip, which aren't timed)
+//   ((note))  a note for the reader, shown but not read or timed
+// Markers that don't pair up are left in the text as written.
+
+export const STYLES = ['bold', 'italic', 'highlight', 'underline', 'strike']
+
+const DELIMITERS = [
+  { marker: '**', style: 'bold' },
+  { marker: '__', style: 'bold' },
+  { marker: '==', style: 'highlight' },
+  { marker: '++', style: 'underline' },
+  { marker: '~~', style: 'strike' },
+  { marker: '*', style: 'italic' },
+  { marker: '_', style: 'italic' }
+]
+
+const NOTE_PATTERN = /\(\((.+?)\)\)/gs
+
+const isSpace = (char) => char === undefined || /\s/.test(char)
+const isWordChar = (char) => char !== undefined && /[\p{L}\p{N}]/u.test(char)
+
+// Find the delimiters in a piece of text that can open or close a span
+function scanDelimiters(text) {
+  const delimiters = []
+  let i = 0
+
+  while (i < text.length) {
+    let found = DELIMITERS.find(d => text.startsWith(d.marker, i))
+
+    // A closing '***' closes the italic opened inside the bold first
+    const char = text[i]
+    if ((char === '*' || char === '_') && text.startsWith(char.repeat(3), i) && !isWordChar(text[i + 3]) && !isSpace(text[i - 1])) {
+      found = DELIMITERS.find(d => d.marker === char)
+    }
+    if (!found) {
+      i++
+      continue
+    }
+
+    const before = text[i - 1]
+    const after = text[i + found.marker.length]
+    let canOpen = !isSpace(after)
+    let canClose = !isSpace(before)
+    // Underscores inside words (snake_case) aren't emphasis
+    if (found.marker[0] === '_') {
+      canOpen = canOpen && !isWordChar(before)
+      canClose = canClose && !isWordChar(after)
+    }
+
+    delimiters.push({ ...found, index: i, canOpen, canClose })
+    i += found.marker.length
+  }
+
+  return delimiters
+}
+
+// Pair openers with closers of the same marker; unpaired ones stay literal
+function matchDelimiters(delimiters) {
+  const stack = []
+  const pairs = []
+
+  delimiters.forEach(delimiter => {
+    const openerIndex = delimiter.canClose
+      ? stack.map(d => d.marker).lastIndexOf(delimiter.marker)
+      : -1
+
+    if (openerIndex !== -1) {
+      pairs.push({ open: stack[openerIndex], close: delimiter })
+      // Openers between the pair can no longer be closed
+      stack.length = openerIndex
+    } else if (delimiter.canOpen) {
+      stack.push(delimiter)
+    }
+  })
+
+  return pairs
+}
+
+// Split plain text (no notes) into runs of equally styled text
+function styleRuns(text) {
+  const pairs = matchDelimiters(scanDelimiters(text))
+  const events = new Map()
+  pairs.forEach(({ open, close }) => {
+    events.set(open.index, { ...open, delta: 1 })
+    events.set(close.index, { ...close, delta: -1 })
+  })
+
+  const runs = []
+  const depth = Object.fromEntries(STYLES.map(style => [style, 0]))
+  let buffer = ''
+
+  const flush = () => {
+    if (!buffer) return
+    const styles = Object.fromEntries(STYLES.map(style => [style, depth[style] > 0]))
+    runs.push({ type: 'text', text: buffer, styles })
+    buffer = ''
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const event = events.get(i)
+    if (event) {
+      flush()
+      depth[event.style] += event.delta
+      i += event.marker.length - 1
+    } else {
+      buffer += text[i]
+    }
+  }
+  flush()
+
+  return runs
+}
+
+// Tokenize section text into styled text runs and notes, in order
+export function parseInline(text) {
+  const tokens = []
+  let lastIndex = 0
+  let match
+
+  NOTE_PATTERN.lastIndex = 0
+  while ((match = NOTE_PATTERN.exec(text)) !== null) {
+    tokens.push(...styleRuns(text.slice(lastIndex, match.index)))
+    tokens.push({ type: 'note', text: match[1].trim(), raw: match[0] })
+    lastIndex = match.index + match[0].length
+  }
+  tokens.push(...styleRuns(text.slice(lastIndex)))
+
+  return tokens
+}
+
+// Class names for a set of styles, e.g. 'bold highlight'
+export function getStyleClassNames(styles) {
+  return STYLES.filter(style => styles[style]).join(' ')
+}
+
+// Call scan(chunk, offset) on each stretch of text between ((notes))
+function scanOutsideNotes(text, scan) {
+  let lastIndex = 0
+  let match
+  NOTE_PATTERN.lastIndex = 0
+  while ((match = NOTE_PATTERN.exec(text)) !== null) {
+    scan(text.slice(lastIndex, match.index), lastIndex)
+    lastIndex = match.index + match[0].length
+  }
+  scan(text.slice(lastIndex), lastIndex)
+}
+
+// Positions of **, __, ==, ++ and ~~ markers that look like formatting but
+// don't pair up, so they'd be read as written. Single * and _ are left out:
+// they turn up in plain text too often. Only markers that start a word and
+// are followed by text count, since one that ends a word is usually part of
+// it, as in 'C++'.
+export function findUnpairedMarkers(text) {
+  const unpaired = []
+  scanOutsideNotes(text, (chunk, offset) => {
+    const delimiters = scanDelimiters(chunk)
+    const paired = new Set()
+    matchDelimiters(delimiters).forEach(({ open, close }) => {
+      paired.add(open)
+      paired.add(close)
+    })
+    delimiters.forEach(delimiter => {
+      const startsWord = delimiter.canOpen && !isWordChar(chunk[delimiter.index - 1])
+      if (delimiter.marker.length > 1 && !paired.has(delimiter) && startsWord) {
+        unpaired.push({ marker: delimiter.marker, index: offset + delimiter.index })
+      }
+    })
+  })
+  return unpaired
+}
+
+// Formatting spans in the text as written, for highlighting it: each is
+// { style, start, end, markerLength }, from the opening marker to the end of
+// the closing one
+export function findStyleSpans(text) {
+  const spans = []
+  scanOutsideNotes(text, (chunk, offset) => {
+    matchDelimiters(scanDelimiters(chunk)).forEach(({ open, close }) => {
+      spans.push({
+        style: open.style,
+        start: offset + open.index,
+        end: offset + close.index + close.marker.length,
+        markerLength: open.marker.length
+      })
+    })
+  })
+  return spans
+}
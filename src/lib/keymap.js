@@ -0,0 +1,106 @@
+// Configurable keyboard shortcuts for playback
+
+// Actions that can be bound, in the order they're listed in the help overlay
+export const SHORTCUT_ACTIONS = [
+  { id: 'togglePlay', label: 'Pause / resume' },
+  { id: 'continue', label: 'Continue past a hold' },
+  { id: 'restart', label: 'Restart' },
+  { id: 'exit', label: 'Exit to editor' },
+  { id: 'prevWord', label: 'Previous word' },
+  { id: 'nextWord', label: 'Next word' },
+  { id: 'prevLine', label: 'Previous line' },
+  { id: 'nextLine', label: 'Next line' },
+  { id: 'prevSection', label: 'Previous section' },
+  { id: 'nextSection', label: 'Next section' },
+  { id: 'prevSpeaker', label: 'Previous speaker' },
+  { id: 'nextSpeaker', label: 'Next speaker' },
+  { id: 'faster', label: 'Speed up' },
+  { id: 'slower', label: 'Slow down' },
+  { id: 'resetSpeed', label: 'Reset speed' },
+  { id: 'help', label: 'Show shortcuts' }
+]
+
+export const DEFAULT_KEYMAP = {
+  togglePlay: ['Space'],
+  continue: ['Enter'],
+  restart: ['r'],
+  exit: ['Escape'],
+  prevWord: ['ArrowLeft'],
+  nextWord: ['ArrowRight'],
+  prevLine: ['ArrowUp'],
+  nextLine: ['ArrowDown'],
+  prevSection: ['Shift+ArrowUp'],
+  nextSection: ['Shift+ArrowDown'],
+  prevSpeaker: ['PageUp'],
+  nextSpeaker: ['PageDown'],
+  faster: ['+', '='],
+  slower: ['-', '_'],
+  resetSpeed: ['0'],
+  help: ['?']
+}
+
+// Fill in actions missing from a saved keymap (e.g. ones added in a later version)
+export function mergeKeymap(saved) {
+  const keymap = { ...DEFAULT_KEYMAP }
+  Object.entries(saved || {}).forEach(([action, combos]) => {
+    if (action in DEFAULT_KEYMAP && Array.isArray(combos)) {
+      keymap[action] = combos
+    }
+  })
+  return keymap
+}
+
+// Normalize a keyboard event to a combo string such as 'Shift+ArrowUp' or 'r'.
+// Shift is left out for single printable characters, since the key itself
+// already reflects it ('?' rather than 'Shift+/').
+export function getKeyCombo(event) {
+  let key = event.key === ' ' ? 'Space' : event.key
+  if (key.length === 1) key = key.toLowerCase()
+
+  const modifiers = []
+  if (event.ctrlKey) modifiers.push('Ctrl')
+  if (event.altKey) modifiers.push('Alt')
+  if (event.metaKey) modifiers.push('Meta')
+  if (event.shiftKey && key.length > 1) modifiers.push('Shift')
+
+  return [...modifiers, key].join('+')
+}
+
+// Keys that only modify others can't be bound on their own
+export function isModifierKey(event) {
+  return ['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)
+}
+
+// Find the action bound to a combo, or null
+export function findAction(keymap, combo) {
+  const entry = Object.entries(keymap).find(([, combos]) => combos.includes(combo))
+  return entry ? entry[0] : null
+}
+
+const KEY_LABELS = {
+  Space: 'Space',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Escape: 'Esc',
+  PageUp: 'PgUp',
+  PageDown: 'PgDn'
+}
+
+// Human-readable label for a combo
+export function formatKeyCombo(combo) {
+  return combo
+    .split('+')
+    .map(part => KEY_LABELS[part] || (part.length === 1 ? part.toUpperCase() : part))
+    .join(' + ')
+    // A lone '+' key splits into two empty parts
+    .replace(/^ \+ $/, '+')
+}
+
+// Shortcuts are ignored while the user is typing in a field
+export function isTypingTarget(target) {
+  if (!target) return false
+  const tag = target.tagName
+  return tag === 'TEXTAREA' || tag === 'INPUT' || tag === 'SELECT' || target.isContentEditable
+}
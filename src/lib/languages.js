@@ -0,0 +1,170 @@
+// Language-specific parts of the timing model: how to count syllables in a
+// spoken token and how to read numbers and abbreviations out loud.
+//
+// A language model is { label, countSyllables(token), speak?(token),
+// isAbbreviation?(token) }. speak() returns the words a token is read as
+// ('2024' -> ['twenty', 'twenty', 'four']), or null to read it as written.
+// isAbbreviation() tells whether a token's period is part of an abbreviation
+// such as 'Dr.' rather than the end of a sentence.
+
+// Syllable counts the English heuristic gets wrong
+const ENGLISH_SYLLABLES = {
+  area: 3, being: 2, business: 2, camera: 3, chocolate: 3, cooperate: 4, create: 2,
+  created: 3, creative: 3, different: 3, every: 2, everything: 3, evening: 2, fire: 1,
+  hour: 1, hours: 1, idea: 3, ideas: 3, interesting: 3, media: 3, museum: 3, naturally: 4,
+  our: 1, people: 2, poem: 2, quiet: 2, radio: 3, react: 2, real: 2, really: 2, science: 2,
+  society: 4, studio: 3, usually: 4, video: 3, videos: 3, violent: 3, whole: 1, wednesday: 2
+}
+
+// Only abbreviations with a single reading. Ambiguous ones such as 'no.' (also
+// 'no' ending a sentence), 'st.' (street or saint) and 'min' are read as written.
+const ENGLISH_ABBREVIATIONS = {
+  'dr.': 'doctor', 'mr.': 'mister', 'mrs.': 'missus', 'ms.': 'miz',
+  'vs.': 'versus', 'vs': 'versus', 'etc.': 'et cetera', 'e.g.': 'for example', 'i.e.': 'that is',
+  'approx.': 'approximately', 'jan.': 'january', 'feb.': 'february',
+  'aug.': 'august', 'sept.': 'september', 'oct.': 'october', 'nov.': 'november', 'dec.': 'december',
+  'km': 'kilometers', 'kg': 'kilograms', 'ft': 'feet', 'hr': 'hours',
+  '&': 'and', '+': 'plus', '=': 'equals', '%': 'percent', '@': 'at'
+}
+
+// Letters whose spoken name isn't one syllable
+const LETTER_SYLLABLES = { w: 3 }
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen']
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety']
+const SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand'], [100, 'hundred']]
+
+// 1234 -> ['one', 'thousand', 'two', 'hundred', 'thirty', 'four']
+function englishNumber(n) {
+  if (n < 20) return [ONES[n]]
+  if (n < 100) return n % 10 ? [TENS[Math.floor(n / 10)], ONES[n % 10]] : [TENS[n / 10]]
+  for (const [scale, name] of SCALES) {
+    if (n >= scale) {
+      const rest = n % scale
+      return [...englishNumber(Math.floor(n / scale)), name, ...(rest ? englishNumber(rest) : [])]
+    }
+  }
+  return []
+}
+
+// How English reads a numeric token: years in pairs, decimals digit by digit
+function speakEnglishNumber(token) {
+  const match = /^([$€£]?)(\d[\d,]*)(?:\.(\d+))?(st|nd|rd|th|s|%|k|m|bn)?$/i.exec(token)
+  if (!match) return null
+
+  const [, currency, whole, decimals, suffix] = match
+  const n = Number(whole.replace(/,/g, ''))
+  if (!Number.isSafeInteger(n)) return null
+
+  // 1999 -> 'nineteen ninety nine', 1905 -> 'nineteen oh five' (but 2005 -> 'two thousand five')
+  const isYear = !currency && !decimals && (!suffix || suffix === 's') && !whole.includes(',') && n >= 1100 && n < 2100 && n % 100 !== 0
+  const words = isYear && (n < 2000 || n >= 2010)
+    ? [...englishNumber(Math.floor(n / 100)), ...(n % 100 < 10 ? ['oh'] : []), ...englishNumber(n % 100)]
+    : englishNumber(n)
+
+  if (decimals) words.push('point', ...decimals.split('').map(d => ONES[Number(d)]))
+  const suffixWords = { '%': 'percent', k: 'thousand', m: 'million', bn: 'billion' }
+  if (suffix && suffixWords[suffix.toLowerCase()]) words.push(suffixWords[suffix.toLowerCase()])
+  if (currency) words.push({ $: 'dollars', '€': 'euros', '£': 'pounds' }[currency])
+  return words
+}
+
+// Heuristic English syllable count, with a dictionary for common exceptions
+function countEnglishSyllables(token) {
+  const word = token.toLowerCase().replace(/[^a-z]/g, '')
+  if (Object.hasOwn(ENGLISH_SYLLABLES, word)) return ENGLISH_SYLLABLES[word]
+  if (word.length <= 3) return 1
+
+  const vowels = 'aeiouy'
+  let count = 0
+  let prevWasVowel = false
+
+  for (let i = 0; i < word.length; i++) {
+    const isVowel = vowels.includes(word[i])
+    if (isVowel && !prevWasVowel) {
+      count++
+    }
+    prevWasVowel = isVowel
+  }
+
+  if (word.endsWith('e') && count > 1) count--
+  if (word.endsWith('le') && word.length > 2 && !vowels.includes(word[word.length - 3])) count++
+
+  return Math.max(1, count)
+}
+
+// Vowel-group count, used by languages whose spelling is close to how they're spoken
+function vowelGroupCounter(vowels, { separateVowels = false, silentEnding = null } = {}) {
+  const pattern = new RegExp(`[${vowels}]${separateVowels ? '' : '+'}`, 'giu')
+  return (token) => {
+    let word = token.toLowerCase().replace(/[^\p{L}]/gu, '')
+    if (silentEnding) word = word.replace(silentEnding, '')
+    return Math.max(1, (word.match(pattern) || []).length)
+  }
+}
+
+// Read URLs, e-mail addresses and acronyms the way people say them
+function speakCommon(token, { abbreviations = {}, speakNumber = null } = {}) {
+  const lower = token.toLowerCase()
+  if (Object.hasOwn(abbreviations, lower)) return abbreviations[lower].split(' ')
+
+  if (/^(https?:\/\/|www\.)|^[\w.+-]+@[\w-]+\.[\w.]+$|^[\w-]+\.(com|org|net|io|dev|app)\b/i.test(token)) {
+    return lower
+      .replace(/^https?:\/\//, '')
+      .replace(/\/$/, '')
+      .split(/([./@:_-])/)
+      .filter(Boolean)
+      .map(part => ({ '.': 'dot', '/': 'slash', '@': 'at', ':': 'colon', _: 'underscore', '-': 'dash' }[part] || part))
+  }
+
+  const bare = token.replace(/^[^\p{L}\p{N}$€£]+|[^\p{L}\p{N}%]+$/gu, '')
+  if (speakNumber && /\d/.test(bare)) return speakNumber(bare)
+
+  // ACRONYMS without vowels, or of up to three letters, are spelled out
+  if (/^\p{Lu}{2,5}s?$/u.test(bare) && (bare.length <= 3 || !/[AEIOU]/.test(bare))) {
+    return bare.split('').filter(c => c !== 's')
+  }
+
+  return null
+}
+
+// Numbers in languages without a spelled-out reader: one syllable per digit
+function approximateNumber(token) {
+  const digits = token.replace(/\D/g, '')
+  return digits ? digits.split('') : null
+}
+
+const latin = (label, vowels, options) => ({
+  label,
+  countSyllables: vowelGroupCounter(vowels, options),
+  speak: (token) => speakCommon(token, { speakNumber: approximateNumber })
+})
+
+export const LANGUAGE_MODELS = {
+  en: {
+    label: 'English',
+    countSyllables: (token) => token.length === 1 && /\p{L}/u.test(token)
+      ? LETTER_SYLLABLES[token.toLowerCase()] || 1
+      : countEnglishSyllables(token),
+    speak: (token) => speakCommon(token, { abbreviations: ENGLISH_ABBREVIATIONS, speakNumber: speakEnglishNumber }),
+    isAbbreviation: (token) => Object.hasOwn(ENGLISH_ABBREVIATIONS, token.toLowerCase())
+  },
+  es: latin('Spanish', 'aeiouáéíóúü'),
+  fr: latin('French', 'aeiouyàâæèéêëîïôœùûü', { silentEnding: /(e|es|ent)$/ }),
+  de: latin('German', 'aeiouyäöü'),
+  it: latin('Italian', 'aeiouàèéìíòóù'),
+  pt: latin('Portuguese', 'aeiouáâãàéêíóôõú'),
+  ru: {
+    label: 'Russian / Cyrillic',
+    // Every Cyrillic vowel letter is its own syllable
+    countSyllables: vowelGroupCounter('аеёиоуыэюяіїє', { separateVowels: true }),
+    speak: (token) => speakCommon(token, { speakNumber: approximateNumber })
+  },
+  cjk: {
+    label: 'Chinese / Japanese / Korean',
+    // One syllable per character (kana count as morae, which is close enough)
+    countSyllables: (token) => Math.max(1, (token.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu) || []).length),
+    speak: (token) => speakCommon(token, { speakNumber: approximateNumber })
+  }
+}
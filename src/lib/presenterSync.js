@@ -0,0 +1,39 @@
+// Operator / talent window sync over a same-origin BroadcastChannel
+
+const CHANNEL_NAME = 'teleprompter-sync'
+
+// URL of the talent window, relative to the current page
+export function getTalentWindowUrl() {
+  return `${window.location.pathname}?view=talent`
+}
+
+// Which role this window plays, from the ?view= query parameter ('benchmark'
+// opens the playback benchmark instead of the app)
+export function getWindowRole() {
+  const view = new URLSearchParams(window.location.search).get('view')
+  return view === 'talent' || view === 'benchmark' ? view : 'operator'
+}
+
+// Message types:
+//   talent -> operator: { type: 'hello' } on open, { type: 'bye' } on close
+//   operator -> talent: { type: 'script', fields } with the active script and its
+//     target time, speaker speeds and colors
+//   operator -> talent: { type: 'state', state } with the playback snapshot
+//     { phase, countdown, startTime, elapsed, currentWordIndex, scrollY, playbackRate }
+export function createSyncChannel(onMessage) {
+  if (typeof BroadcastChannel === 'undefined') {
+    return { post() {}, close() {} }
+  }
+
+  const channel = new BroadcastChannel(CHANNEL_NAME)
+  channel.onmessage = (event) => onMessage(event.data)
+
+  return {
+    post(message) {
+      channel.postMessage(message)
+    },
+    close() {
+      channel.close()
+    }
+  }
+}
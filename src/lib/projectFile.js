@@ -0,0 +1,232 @@
+// Portable project files (.prompt.json) and share links. A project holds a
+// script with its target time, timing language, text direction and speaker
+// speeds and colors, so it can move between machines as one file or URL.
+//
+// Version 1:
+//   { format: 'teleprompter-project', version: 1, name, script,
+//     settings: { targetMinutes, targetSeconds, language, direction },
+//     speakers: { [name]: { speed?, color? } } }
+//
+// Older versions are migrated forward on import. Version 0 is a bare set of
+// script fields as kept in a library entry ({ script, targetMinutes,
+// speakerSpeeds, speakerColors, ... }) without a format or version.
+
+import { DEFAULT_SCRIPT_FIELDS } from './scriptLibrary'
+import { TIMING_LANGUAGES } from './timingModel'
+import { TEXT_DIRECTIONS } from './textDirection'
+import { toFileName, downloadTextFile } from './exporters'
+
+export const PROJECT_FORMAT = 'teleprompter-project'
+export const PROJECT_VERSION = 1
+export const PROJECT_EXTENSION = '.prompt.json'
+export const PROJECT_ACCEPT = '.json'
+
+// Same range as the speaker speed sliders
+const MIN_SPEAKER_SPEED = 0.5
+const MAX_SPEAKER_SPEED = 1.5
+
+const SHARE_HASH_KEY = 'project'
+
+export const isProjectFileName = (name) => /\.json$/i.test(name)
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Speaker speeds and colors, kept per speaker
+function toSpeakers(speakerSpeeds = {}, speakerColors = {}) {
+  const speakers = {}
+  Object.entries(speakerSpeeds).forEach(([speaker, speed]) => {
+    speakers[speaker] = { ...speakers[speaker], speed }
+  })
+  Object.entries(speakerColors).forEach(([speaker, color]) => {
+    speakers[speaker] = { ...speakers[speaker], color }
+  })
+  return speakers
+}
+
+// Version 1 from a name and a set of library fields
+const fromScriptFields = (name, fields) => ({
+  format: PROJECT_FORMAT,
+  version: 1,
+  name,
+  script: fields.script,
+  settings: {
+    targetMinutes: fields.targetMinutes,
+    targetSeconds: fields.targetSeconds,
+    language: fields.language,
+    direction: fields.direction
+  },
+  speakers: toSpeakers(fields.speakerSpeeds, fields.speakerColors)
+})
+
+// Each migration takes a project of its version to the next one
+const MIGRATIONS = {
+  0: (fields) => fromScriptFields(fields.name, fields)
+}
+
+// Build a project from a script's name and library fields
+export function createProject(name, fields) {
+  return fromScriptFields(name, fields)
+}
+
+// Bring an older project up to the current version
+function migrateProject(value) {
+  let project = value
+  if (!('format' in project) && !('version' in project) && typeof project.script === 'string') {
+    project = { ...project, version: 0 }
+  } else if (project.format !== PROJECT_FORMAT) {
+    throw new Error('Not a teleprompter project file')
+  }
+
+  if (!Number.isInteger(project.version) || project.version < 0) {
+    throw new Error('The project has no valid format version')
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`The project was saved by a newer version of the app (format version ${project.version}; this one reads up to ${PROJECT_VERSION})`)
+  }
+
+  while (project.version < PROJECT_VERSION) {
+    project = MIGRATIONS[project.version](project)
+  }
+  return project
+}
+
+// Check a current-version project, listing every problem found
+function validateProject(project) {
+  const errors = []
+  const { settings = {}, speakers = {} } = project
+
+  const checkWhole = (value, path, min, max) => {
+    if (value !== undefined && !(Number.isInteger(value) && value >= min && value <= max)) {
+      errors.push(`"${path}" must be a whole number from ${min} to ${max}`)
+    }
+  }
+  const checkOption = (value, path, options) => {
+    if (value !== undefined && !options.some(option => option.id === value)) {
+      errors.push(`"${path}" must be one of ${options.map(option => `"${option.id}"`).join(', ')}`)
+    }
+  }
+
+  if (typeof project.script !== 'string') errors.push('"script" must be text')
+  if (project.name !== undefined && typeof project.name !== 'string') errors.push('"name" must be text')
+
+  if (!isObject(settings)) {
+    errors.push('"settings" must be an object')
+  } else {
+    checkWhole(settings.targetMinutes, 'settings.targetMinutes', 0, 600)
+    checkWhole(settings.targetSeconds, 'settings.targetSeconds', 0, 59)
+    checkOption(settings.language, 'settings.language', TIMING_LANGUAGES)
+    checkOption(settings.direction, 'settings.direction', TEXT_DIRECTIONS)
+  }
+
+  if (!isObject(speakers)) {
+    errors.push('"speakers" must be an object')
+  } else {
+    Object.entries(speakers).forEach(([speaker, value]) => {
+      const path = `speakers.${speaker}`
+      if (!isObject(value)) {
+        errors.push(`"${path}" must be an object`)
+        return
+      }
+      if (value.speed !== undefined && !(typeof value.speed === 'number' && value.speed >= MIN_SPEAKER_SPEED && value.speed <= MAX_SPEAKER_SPEED)) {
+        errors.push(`"${path}.speed" must be a number from ${MIN_SPEAKER_SPEED} to ${MAX_SPEAKER_SPEED}`)
+      }
+      if (value.color !== undefined && !(typeof value.color === 'string' && /^#[0-9a-f]{6}$/i.test(value.color))) {
+        errors.push(`"${path}.color" must be a color like #646cff`)
+      }
+    })
+  }
+
+  if (errors.length > 0) throw new Error(`Invalid project: ${errors.join('; ')}`)
+}
+
+// Turn parsed project JSON into { name, fields } for a library entry. Throws
+// an Error explaining what's wrong if it isn't a usable project.
+export function readProject(value) {
+  if (!isObject(value)) throw new Error('Not a teleprompter project file')
+
+  const project = migrateProject(value)
+  validateProject(project)
+
+  const { settings = {}, speakers = {} } = project
+  const fields = { ...DEFAULT_SCRIPT_FIELDS, script: project.script, speakerSpeeds: {}, speakerColors: {} }
+  Object.keys(settings).forEach(key => {
+    if (settings[key] !== undefined && key in DEFAULT_SCRIPT_FIELDS) fields[key] = settings[key]
+  })
+  Object.entries(speakers).forEach(([speaker, { speed, color }]) => {
+    if (speed !== undefined) fields.speakerSpeeds[speaker] = speed
+    if (color !== undefined) fields.speakerColors[speaker] = color
+  })
+
+  return { name: project.name || null, fields }
+}
+
+// Read a picked or dropped .prompt.json file. Resolves to { name, fields }.
+export async function readProjectFile(file) {
+  let value
+  try {
+    value = JSON.parse(await file.text())
+  } catch (err) {
+    throw new Error(`Not valid JSON (${err.message})`)
+  }
+  const project = readProject(value)
+  return { ...project, name: project.name || file.name.replace(/(\.prompt)?\.json$/i, '') }
+}
+
+export function downloadProject(name, fields) {
+  const content = JSON.stringify(createProject(name, fields), null, 2) + '\n'
+  downloadTextFile(`${toFileName(name)}${PROJECT_EXTENSION}`, content, 'application/json')
+}
+
+// Share links carry the project in the URL hash, deflate-compressed where the
+// browser supports it: '#project=z<data>' (compressed) or '#project=j<data>'
+// (plain JSON), with the data in URL-safe base64
+
+function toBase64Url(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
+
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream))
+  return new Uint8Array(await response.arrayBuffer())
+}
+
+// URL of the current page that opens a copy of the project
+export async function createShareLink(name, fields) {
+  const bytes = new TextEncoder().encode(JSON.stringify(createProject(name, fields)))
+  const data = typeof CompressionStream === 'function'
+    ? `z${toBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')))}`
+    : `j${toBase64Url(bytes)}`
+  return `${window.location.origin}${window.location.pathname}#${SHARE_HASH_KEY}=${data}`
+}
+
+// The project in a share link's hash as { name, fields }, or null if the hash
+// doesn't hold one. Throws if it does but can't be read.
+export async function readShareHash(hash) {
+  const data = new URLSearchParams(hash.replace(/^#/, '')).get(SHARE_HASH_KEY)
+  if (!data) return null
+
+  let json
+  try {
+    const bytes = fromBase64Url(data.slice(1))
+    if (data[0] === 'z') {
+      json = new TextDecoder().decode(await transformBytes(bytes, new DecompressionStream('deflate-raw')))
+    } else if (data[0] === 'j') {
+      json = new TextDecoder().decode(bytes)
+    } else {
+      throw new Error('unknown encoding')
+    }
+    json = JSON.parse(json)
+  } catch (err) {
+    throw new Error(`The share link is damaged or incomplete (${err.message})`)
+  }
+  return readProject(json)
+}
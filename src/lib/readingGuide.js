@@ -0,0 +1,60 @@
+// Reading guide settings: a marker at the reading line, a focus band around it
+// that dims the rest of the text, and how the current word is highlighted.
+// The guide sits at the reading line from the text layout settings.
+
+export const GUIDE_STYLES = [
+  { id: 'none', label: 'None' },
+  { id: 'line', label: 'Line' },
+  { id: 'arrow', label: 'Arrow' }
+]
+
+export const HIGHLIGHT_STYLES = [
+  { id: 'background', label: 'Word background' },
+  { id: 'underline', label: 'Word underline' },
+  { id: 'line', label: 'Whole line' },
+  { id: 'sentence', label: 'Whole sentence' },
+  { id: 'none', label: 'No highlighting' }
+]
+
+export const DEFAULT_READING_GUIDE = {
+  guide: 'none',
+  focusBand: false,
+  // Height of the undimmed band, as a fraction of the view
+  bandHeight: 0.3,
+  // Opacity of the dimming outside the band
+  dimming: 0.6,
+  highlight: 'background'
+}
+
+// Fill in and validate stored settings
+export function normalizeReadingGuide(value) {
+  const settings = { ...DEFAULT_READING_GUIDE, ...value }
+  if (!GUIDE_STYLES.some(style => style.id === settings.guide)) settings.guide = DEFAULT_READING_GUIDE.guide
+  if (!HIGHLIGHT_STYLES.some(style => style.id === settings.highlight)) settings.highlight = DEFAULT_READING_GUIDE.highlight
+  settings.focusBand = Boolean(settings.focusBand)
+  settings.bandHeight = Math.min(0.9, Math.max(0.05, Number(settings.bandHeight) || DEFAULT_READING_GUIDE.bandHeight))
+  settings.dimming = Math.min(1, Math.max(0, Number(settings.dimming) || 0))
+  return settings
+}
+
+// First and last word index of the sentence each word belongs to. Sentences
+// end at . ! or ? (or 。！？, before any closing quotes or brackets) and at
+// section ends.
+export function getSentenceRanges(allWords, sectionBoundaries) {
+  const starts = new Int32Array(allWords.length)
+  const ends = new Int32Array(allWords.length)
+
+  sectionBoundaries.forEach(section => {
+    let start = section.startIndex
+    for (let i = section.startIndex; i <= section.endIndex; i++) {
+      if (i < section.endIndex && !/[.!?。！？]["')\]”’」』]*$/.test(allWords[i].text)) continue
+      for (let j = start; j <= i; j++) {
+        starts[j] = start
+        ends[j] = i
+      }
+      start = i + 1
+    }
+  })
+
+  return { starts, ends }
+}
@@ -0,0 +1,71 @@
+// Rehearsal mode for table reads: one performer's sections are shown in full
+// and every other speaker's section is cut down to its last line, as a cue.
+// The hidden lines either drop out of the schedule or keep their time, shown
+// as a countdown to the performer's next line. The performer's own lines can
+// be masked to practice them from memory.
+
+export const DEFAULT_REHEARSAL = {
+  enabled: false,
+  speaker: '',
+  // Keep other speakers' time and count down through it
+  countdown: false,
+  // Mask the performer's lines until they've been read
+  hideOwnLines: false
+}
+
+// Fill in and validate stored settings
+export function normalizeRehearsal(value) {
+  return {
+    enabled: Boolean(value?.enabled),
+    speaker: typeof value?.speaker === 'string' ? value.speaker : DEFAULT_REHEARSAL.speaker,
+    countdown: Boolean(value?.countdown),
+    hideOwnLines: Boolean(value?.hideOwnLines)
+  }
+}
+
+// Each word's part in the rehearsal: 'own' for the performer's lines, 'cue'
+// for the last line of another speaker's section and 'hidden' for the rest of
+// it. Sections without a speaker are left as they are ('shared'). Returns
+// null when not rehearsing or the speaker isn't in the script.
+export function getRehearsalRoles(allWords, sectionBoundaries, settings) {
+  if (!settings.enabled || !sectionBoundaries.some(section => section.speaker === settings.speaker)) {
+    return null
+  }
+
+  const roles = new Array(allWords.length).fill('shared')
+  sectionBoundaries.forEach(section => {
+    if (!section.speaker) return
+
+    let cueStart = section.startIndex
+    if (section.speaker !== settings.speaker) {
+      cueStart = section.endIndex
+      while (cueStart > section.startIndex && !allWords[cueStart].isLineStart) cueStart--
+    }
+    for (let i = section.startIndex; i <= section.endIndex; i++) {
+      roles[i] = section.speaker === settings.speaker ? 'own' : i < cueStart ? 'hidden' : 'cue'
+    }
+  })
+  return roles
+}
+
+// Words as shown while rehearsing: hidden words are left out of the layout and
+// masked ones are drawn as blanks
+export function getRehearsalWords(allWords, roles, hideOwnLines) {
+  if (!roles) return allWords
+  return allWords.map((word, i) => {
+    if (roles[i] === 'hidden') return { ...word, hidden: true }
+    if (roles[i] === 'own' && hideOwnLines) return { ...word, masked: true }
+    return word
+  })
+}
+
+// Index of the performer's next word at or after each word, or -1
+export function getNextOwnWords(roles) {
+  const next = new Int32Array(roles.length)
+  let upcoming = -1
+  for (let i = roles.length - 1; i >= 0; i--) {
+    if (roles[i] === 'own') upcoming = i
+    next[i] = upcoming
+  }
+  return next
+}
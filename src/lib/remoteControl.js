@@ -0,0 +1,94 @@
+// Browser side of the remote-control bridge: receives commands, reports playback state
+
+import { parseCommand } from './remoteProtocol'
+
+const RECONNECT_DELAY_MS = 2000
+// Close code the bridge uses for a missing or wrong pairing token
+const UNAUTHORIZED_CLOSE = 4001
+const STATE_THROTTLE_MS = 200
+
+// Connect to the bridge as the app with its pairing token. Reconnects until
+// closed, unless the bridge turns the token down.
+// onCommand receives validated commands, onStatus 'connecting' | 'connected' |
+// 'disconnected' | 'unauthorized'.
+export function connectRemoteControl(url, { token, onCommand, onStatus }) {
+  let socket = null
+  let closed = false
+  let reconnectTimer = null
+  let pendingState = null
+  let lastSentAt = 0
+  let stateTimer = null
+
+  const connect = () => {
+    onStatus('connecting')
+    let target
+    try {
+      target = new URL(url)
+    } catch {
+      onStatus('disconnected')
+      return
+    }
+    target.searchParams.set('role', 'app')
+    target.searchParams.set('token', token)
+    socket = new WebSocket(target)
+
+    socket.onopen = () => {
+      onStatus('connected')
+      if (pendingState) flushState()
+    }
+    socket.onmessage = (event) => {
+      let command
+      try {
+        command = parseCommand(JSON.parse(event.data))
+      } catch (err) {
+        console.warn('Ignoring remote command:', err.message)
+        return
+      }
+      onCommand(command)
+    }
+    socket.onclose = (event) => {
+      socket = null
+      if (closed) return
+      if (event.code === UNAUTHORIZED_CLOSE) {
+        onStatus('unauthorized')
+        return
+      }
+      onStatus('disconnected')
+      reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS)
+    }
+    socket.onerror = () => {
+      // onclose follows and schedules the reconnect
+    }
+  }
+
+  const flushState = () => {
+    clearTimeout(stateTimer)
+    stateTimer = null
+    if (!pendingState || socket?.readyState !== WebSocket.OPEN) return
+    socket.send(JSON.stringify({ type: 'state', state: pendingState }))
+    lastSentAt = Date.now()
+    pendingState = null
+  }
+
+  connect()
+
+  return {
+    // State updates are coalesced so the bridge sees at most a few per second
+    sendState(state) {
+      pendingState = state
+      const wait = STATE_THROTTLE_MS - (Date.now() - lastSentAt)
+      if (wait <= 0) {
+        flushState()
+      } else if (!stateTimer) {
+        stateTimer = setTimeout(flushState, wait)
+      }
+    },
+    close() {
+      closed = true
+      clearTimeout(reconnectTimer)
+      clearTimeout(stateTimer)
+      socket?.close()
+      onStatus('disconnected')
+    }
+  }
+}
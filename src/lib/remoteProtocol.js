@@ -0,0 +1,65 @@
+// Remote-control protocol shared by the app and the local WebSocket bridge.
+// Plain JS with no browser or Node globals so both sides can import it.
+
+export const DEFAULT_REMOTE_PORT = 8787
+
+// Commands a controller (pedal, Stream Deck, clicker app) can send
+export const REMOTE_COMMANDS = {
+  play: {},
+  pause: {},
+  resume: {},
+  toggle: {},
+  // release a [hold] directive
+  continue: {},
+  restart: {},
+  exit: {},
+  // section: index, or 'next' / 'prev'
+  'jump-section': { section: 'section' },
+  // seconds: positive or negative
+  nudge: { seconds: 'number' },
+  // multiplier: playback speed, 1 = planned pace
+  'set-speed': { multiplier: 'number' }
+}
+
+export const MIN_SPEED = 0.25
+export const MAX_SPEED = 4
+
+// Validate a command message and return a normalized copy, or throw an Error
+export function parseCommand(message) {
+  if (!message || typeof message !== 'object') {
+    throw new Error('Command must be an object')
+  }
+
+  const { command } = message
+  // Own keys only, so names like 'toString' aren't taken for commands
+  const spec = Object.hasOwn(REMOTE_COMMANDS, command) ? REMOTE_COMMANDS[command] : null
+  if (!spec) {
+    throw new Error(`Unknown command: ${command}`)
+  }
+
+  const parsed = { type: 'command', command }
+  for (const [field, kind] of Object.entries(spec)) {
+    const value = message[field]
+    if (kind === 'number') {
+      const number = Number(value)
+      if (value === undefined || value === '' || !Number.isFinite(number)) {
+        throw new Error(`${command} needs a numeric "${field}"`)
+      }
+      parsed[field] = number
+    } else if (kind === 'section') {
+      if (value === 'next' || value === 'prev') {
+        parsed[field] = value
+      } else if (Number.isInteger(Number(value)) && value !== '' && value !== undefined) {
+        parsed[field] = Number(value)
+      } else {
+        throw new Error(`${command} needs "${field}" as an index, "next" or "prev"`)
+      }
+    }
+  }
+
+  if (command === 'set-speed') {
+    parsed.multiplier = Math.min(MAX_SPEED, Math.max(MIN_SPEED, parsed.multiplier))
+  }
+
+  return parsed
+}
@@ -0,0 +1,113 @@
+// Syntax highlighting for the script editor. The script is split into lines of
+// tokens, each { text, kind, styles, speaker }: kind is 'text', 'speaker' (a
+// '[Name]:' tag, with `speaker` set), 'heading', 'note', 'directive' or
+// 'marker' (formatting markers such as '**'), and styles lists the formatting
+// the text is in. Sections are split at speaker tags and headings the same
+// way the parser does, so formatting doesn't run across them.
+
+import { splitDirectives } from './directives'
+import { STYLES, findStyleSpans } from './inlineFormatting'
+import { HEADING_PATTERN } from './scriptParser'
+
+const KINDS = ['text', 'speaker', 'heading', 'note', 'directive', 'marker']
+const [TEXT, SPEAKER, HEADING, NOTE, DIRECTIVE, MARKER] = KINDS.map((_, i) => i)
+
+const SPEAKER_TAG = /\[([^\]]+)\]:/g
+const NOTE_PATTERN = /\(\(.+?\)\)/gs
+
+// Mark the directives in a stretch of the script
+function markDirectives(text, offset, kinds) {
+  let index = offset
+  splitDirectives(text).forEach(part => {
+    const length = part.directive ? part.raw.length : part.text.length
+    if (part.directive) kinds.fill(DIRECTIVE, index, index + length)
+    index += length
+  })
+}
+
+// Mark formatting, notes and directives in a section's text
+function markSection(text, offset, kinds, styles) {
+  findStyleSpans(text).forEach(({ style, start, end, markerLength }) => {
+    const bit = 1 << STYLES.indexOf(style)
+    for (let i = offset + start + markerLength; i < offset + end - markerLength; i++) styles[i] |= bit
+    kinds.fill(MARKER, offset + start, offset + start + markerLength)
+    kinds.fill(MARKER, offset + end - markerLength, offset + end)
+  })
+  // Directives inside notes are part of the note
+  let lastIndex = 0
+  for (const match of text.matchAll(NOTE_PATTERN)) {
+    markDirectives(text.slice(lastIndex, match.index), offset + lastIndex, kinds)
+    kinds.fill(NOTE, offset + match.index, offset + match.index + match[0].length)
+    lastIndex = match.index + match[0].length
+  }
+  markDirectives(text.slice(lastIndex), offset + lastIndex, kinds)
+}
+
+// The script as lines of highlighted tokens
+export function highlightScript(script) {
+  const kinds = new Uint8Array(script.length)
+  const styles = new Uint8Array(script.length)
+  // Speaker name by tag start
+  const tagSpeakers = new Map()
+
+  const tags = [...script.matchAll(SPEAKER_TAG)].map(match => ({
+    speaker: match[1],
+    start: match.index,
+    end: match.index + match[0].length
+  }))
+  tags.forEach(tag => {
+    kinds.fill(SPEAKER, tag.start, tag.end)
+    tagSpeakers.set(tag.start, tag.speaker)
+  })
+
+  // Heading lines, and the sections between them and the speaker tags
+  const breaks = [...tags]
+  let lineStart = 0
+  script.split('\n').forEach(line => {
+    if (HEADING_PATTERN.test(line)) {
+      kinds.fill(HEADING, lineStart, lineStart + line.length)
+      markDirectives(line, lineStart, kinds)
+      breaks.push({ start: lineStart, end: lineStart + line.length })
+    }
+    lineStart += line.length + 1
+  })
+  breaks.sort((a, b) => a.start - b.start)
+
+  let sectionStart = 0
+  breaks.forEach(({ start, end }) => {
+    if (start > sectionStart) markSection(script.slice(sectionStart, start), sectionStart, kinds, styles)
+    sectionStart = Math.max(sectionStart, end)
+  })
+  if (sectionStart < script.length) markSection(script.slice(sectionStart), sectionStart, kinds, styles)
+
+  // Runs of equally highlighted text, line by line
+  const lines = [[]]
+  let run = null
+  let speaker = null
+  for (let i = 0; i < script.length; i++) {
+    if (script[i] === '\n') {
+      lines.push([])
+      run = null
+      continue
+    }
+    if (tagSpeakers.has(i)) {
+      speaker = tagSpeakers.get(i)
+      run = null
+    }
+    const kind = kinds[i]
+    if (!run || run.kindId !== kind || run.styleBits !== styles[i]) {
+      run = {
+        kindId: kind,
+        styleBits: styles[i],
+        text: '',
+        kind: KINDS[kind],
+        styles: STYLES.filter((_, bit) => styles[i] & (1 << bit)),
+        speaker: kind === SPEAKER ? speaker : null
+      }
+      lines[lines.length - 1].push(run)
+    }
+    run.text += script[i]
+  }
+
+  return lines.map(tokens => tokens.map(({ text, kind, styles, speaker }) => ({ text, kind, styles, speaker })))
+}
@@ -0,0 +1,173 @@
+// Version history for each script in the library. Versions are kept
+// automatically while a script is edited (when it's first edited, every few
+// minutes after that, and just before a large part of it is deleted) and as
+// named checkpoints. Each one holds all of the script's fields, so restoring
+// it also brings back speaker speeds and colors, and its planned duration at
+// the time.
+
+import { withStore, createId, VERSIONS_STORE } from './db'
+import { DEFAULT_SCRIPT_FIELDS } from './scriptLibrary'
+import { parseScript } from './scriptParser'
+import { getScheduleLength } from './sectionBudgets'
+
+// How often an automatic version is kept while editing
+export const AUTO_VERSION_INTERVAL_MS = 5 * 60 * 1000
+// Automatic versions kept per script; checkpoints are never pruned
+const MAX_AUTO_VERSIONS = 50
+
+// A deletion this large (in characters, and as a share of the text) keeps the
+// text from before it
+const LARGE_DELETION_CHARS = 100
+const LARGE_DELETION_SHARE = 0.25
+
+// Word diffs compare every word with every other in the changed stretch;
+// beyond this many pairs it's shown as replaced outright
+const MAX_DIFF_CELLS = 4000000
+
+// Just the script fields of a library entry or version
+export function pickScriptFields(source) {
+  const fields = {}
+  Object.keys(DEFAULT_SCRIPT_FIELDS).forEach(key => {
+    fields[key] = source[key] ?? DEFAULT_SCRIPT_FIELDS[key]
+  })
+  return fields
+}
+
+export const hasSameFields = (a, b) => JSON.stringify(pickScriptFields(a)) === JSON.stringify(pickScriptFields(b))
+
+// Planned length of a script's schedule from its fields
+export function getPlannedMs(fields) {
+  const { allWords, sectionBoundaries } = parseScript(fields.script)
+  return getScheduleLength(allWords, sectionBoundaries, (fields.targetMinutes * 60 + fields.targetSeconds) * 1000)
+}
+
+// A new version of a script; versions without a name were kept automatically
+export function createVersion(scriptId, fields, name = null) {
+  const kept = pickScriptFields(fields)
+  return {
+    id: createId(),
+    scriptId,
+    name,
+    createdAt: Date.now(),
+    plannedMs: getPlannedMs(kept),
+    fields: kept
+  }
+}
+
+export const getVersionLabel = (version) => version.name || 'Auto-saved'
+
+// Whether going from one text to another deletes a large part of it, as when
+// everything is selected and typed over
+export function isLargeDeletion(oldText, newText) {
+  const max = Math.min(oldText.length, newText.length)
+  let prefix = 0
+  while (prefix < max && oldText[prefix] === newText[prefix]) prefix++
+  let suffix = 0
+  while (suffix < max - prefix && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) suffix++
+
+  const deleted = oldText.length - prefix - suffix
+  return deleted >= LARGE_DELETION_CHARS && deleted >= oldText.length * LARGE_DELETION_SHARE
+}
+
+// Which states to keep as automatic versions when `next` is saved over
+// `previous`, given the latest version: the previous state if there are no
+// versions yet (the script as it was opened) or the save deletes a large part
+// of it, and the new state if the last one kept is a while old. Empty scripts
+// aren't kept.
+export function getAutoVersions(previous, next, latest, now) {
+  const states = []
+  let last = latest
+  if (previous?.script && (!latest || isLargeDeletion(previous.script, next.script)) &&
+    !(latest && hasSameFields(latest.fields, previous))) {
+    states.push(previous)
+    last = { fields: previous, createdAt: now }
+  }
+  if (next.script && (!last || (now - last.createdAt >= AUTO_VERSION_INTERVAL_MS && !hasSameFields(last.fields, next)))) {
+    states.push(next)
+  }
+  return states
+}
+
+// Versions of a script, newest first
+export async function listVersions(scriptId) {
+  const versions = await withStore(VERSIONS_STORE, 'readonly', store => store.index('scriptId').getAll(scriptId))
+  return versions.sort((a, b) => b.createdAt - a.createdAt)
+}
+
+// Save a version, dropping the oldest automatic ones past the limit. Resolves
+// to the script's versions, newest first.
+export async function addVersion(version) {
+  await withStore(VERSIONS_STORE, 'readwrite', store => store.put(version))
+  const versions = await listVersions(version.scriptId)
+  const pruned = versions.filter(v => !v.name).slice(MAX_AUTO_VERSIONS)
+  for (const old of pruned) {
+    await withStore(VERSIONS_STORE, 'readwrite', store => store.delete(old.id))
+  }
+  return versions.filter(v => !pruned.includes(v))
+}
+
+export async function deleteVersions(scriptId) {
+  const versions = await listVersions(scriptId)
+  for (const version of versions) {
+    await withStore(VERSIONS_STORE, 'readwrite', store => store.delete(version.id))
+  }
+}
+
+// Word-level differences between two texts, as runs of
+// { type: 'same' | 'added' | 'removed', text }. Whitespace is compared too,
+// so changed line breaks show up.
+export function diffWords(oldText, newText) {
+  const a = oldText.match(/\s+|\S+/g) || []
+  const b = newText.match(/\s+|\S+/g) || []
+  const parts = []
+  const push = (type, text) => {
+    const last = parts[parts.length - 1]
+    if (last?.type === type) last.text += text
+    else parts.push({ type, text })
+  }
+
+  const max = Math.min(a.length, b.length)
+  let prefix = 0
+  while (prefix < max && a[prefix] === b[prefix]) prefix++
+  let suffix = 0
+  while (suffix < max - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++
+
+  a.slice(0, prefix).forEach(word => push('same', word))
+
+  const oldWords = a.slice(prefix, a.length - suffix)
+  const newWords = b.slice(prefix, b.length - suffix)
+  const n = oldWords.length
+  const m = newWords.length
+  if (n * m > MAX_DIFF_CELLS) {
+    oldWords.forEach(word => push('removed', word))
+    newWords.forEach(word => push('added', word))
+  } else {
+    // Longest common subsequence of the rest, from the end; the shorter side
+    // is at most 2000 words here, so the lengths fit in 16 bits
+    const width = m + 1
+    const common = new Uint16Array((n + 1) * width)
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        common[i * width + j] = oldWords[i] === newWords[j]
+          ? common[(i + 1) * width + j + 1] + 1
+          : Math.max(common[(i + 1) * width + j], common[i * width + j + 1])
+      }
+    }
+
+    let i = 0
+    let j = 0
+    while (i < n || j < m) {
+      if (i < n && j < m && oldWords[i] === newWords[j]) {
+        push('same', oldWords[i++])
+        j++
+      } else if (j >= m || (i < n && common[(i + 1) * width + j] >= common[i * width + j + 1])) {
+        push('removed', oldWords[i++])
+      } else {
+        push('added', newWords[j++])
+      }
+    }
+  }
+
+  a.slice(a.length - suffix).forEach(word => push('same', word))
+  return parts
+}
@@ -0,0 +1,197 @@
+// Layout cache for the playback view. The script is broken into rows here
+// instead of by the browser: word widths come from a canvas (cached per font
+// and text), so every word's position is known without rendering it and only
+// the rows near the viewport need to be in the DOM.
+//
+// Metrics are read from the rendered styles by the view:
+//   { width, viewportHeight, paddingTop, lineHeight, sectionGap, dividerGap,
+//     dividerHeight, firstDividerHeight, wordFont: { style, weight, size, family },
+//     markerFont, markerExtra, spaceWidth }
+
+// Rows kept rendered above and below the viewport, in viewport heights
+const OVERSCAN = 1
+
+let context = null
+let lastFont = null
+const widths = new Map()
+
+// Width of a piece of text in a CSS font, in pixels
+export function measureText(text, font) {
+  const key = `${font}\n${text}`
+  let width = widths.get(key)
+  if (width === undefined) {
+    context = context || document.createElement('canvas').getContext('2d')
+    if (font !== lastFont) {
+      context.font = font
+      lastFont = font
+    }
+    width = context.measureText(text).width
+    widths.set(key, width)
+  }
+  return width
+}
+
+// Web fonts that finish loading change every width
+export function clearTextMeasurements() {
+  widths.clear()
+  lastFont = null
+}
+
+// CSS font shorthand from computed style values
+export const toFont = ({ style, weight, size, family }) => `${style} ${weight} ${size} ${family}`
+
+// Width of a word with its directive markers
+function measureWord(word, metrics) {
+  let width = 0
+  word.segments.forEach(segment => {
+    width += measureText(segment.text, toFont({
+      ...metrics.wordFont,
+      style: segment.italic ? 'italic' : metrics.wordFont.style,
+      weight: segment.bold ? 700 : metrics.wordFont.weight
+    }))
+  })
+  word.directives.forEach(directive => {
+    width += measureText(directive.label, metrics.markerFont) + metrics.markerExtra
+  })
+  return width
+}
+
+// Break the script into rows: a divider row for each speaker or heading, then
+// lines of words. Returns the rows with their offsets, the row of every word
+// and the vertical center of every word in the scrolled content. Hidden words
+// (see rehearsal.js) get no space and take the next shown word's position.
+export function layoutScript(allWords, sectionBoundaries, metrics) {
+  const rows = []
+  const wordRows = new Int32Array(allWords.length)
+  const centers = new Float64Array(allWords.length)
+  let top = 0
+
+  sectionBoundaries.forEach((section, sectionIndex) => {
+    const hasDivider = Boolean(section.speaker || section.title)
+    if (sectionIndex > 0) {
+      // Like collapsing margins: the larger of the two gaps
+      top += hasDivider ? Math.max(metrics.sectionGap, metrics.dividerGap) : metrics.sectionGap
+    }
+    if (hasDivider) {
+      const height = sectionIndex === 0 ? metrics.firstDividerHeight : metrics.dividerHeight
+      rows.push({ type: 'divider', section: sectionIndex, top, height })
+      top += height
+    }
+
+    let row = null
+    for (let i = section.startIndex; i <= section.endIndex; i++) {
+      if (allWords[i].hidden) continue
+      const width = measureWord(allWords[i], metrics)
+      if (!row || allWords[i].isLineStart || row.width + width > metrics.width) {
+        row = { type: 'line', section: sectionIndex, start: i, end: i, top, height: metrics.lineHeight, width: 0 }
+        rows.push(row)
+        top += metrics.lineHeight
+      }
+      row.end = i
+      row.width += width + (allWords[i].joined ? 0 : metrics.spaceWidth)
+      wordRows[i] = rows.length - 1
+      centers[i] = metrics.paddingTop + row.top + row.height / 2
+    }
+  })
+
+  let next = -1
+  for (let i = allWords.length - 1; i >= 0; i--) {
+    if (!allWords[i].hidden) {
+      next = i
+    } else if (next >= 0) {
+      wordRows[i] = wordRows[next]
+      centers[i] = centers[next]
+    }
+  }
+
+  return {
+    rows,
+    wordRows,
+    centers,
+    height: top + metrics.sectionGap,
+    paddingTop: metrics.paddingTop,
+    viewportHeight: metrics.viewportHeight
+  }
+}
+
+// The rendered rows only change when the scroll position crosses into another
+// band, half a viewport tall, so scrolling doesn't re-render on every frame
+export function getRenderBand(layout, scrollY) {
+  if (!layout || layout.viewportHeight <= 0) return 0
+  return Math.max(0, Math.floor(scrollY / (layout.viewportHeight / 2)))
+}
+
+// First and last row to render for a band
+export function getVisibleRows(layout, band) {
+  const { rows, viewportHeight, paddingTop } = layout
+  const bandTop = band * (viewportHeight / 2) - paddingTop
+  const from = bandTop - viewportHeight * OVERSCAN
+  const to = bandTop + viewportHeight * (1.5 + OVERSCAN)
+
+  // First row ending below `from`
+  let low = 0
+  let high = rows.length
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (rows[mid].top + rows[mid].height < from) low = mid + 1
+    else high = mid
+  }
+
+  let last = low
+  while (last + 1 < rows.length && rows[last + 1].top < to) last++
+  return [low, Math.min(last, rows.length - 1)]
+}
+
+// Index of the word being read at a point in the schedule
+export function findWordAtTime(wordStartTimes, elapsed) {
+  let low = 0
+  let high = wordStartTimes.length - 1
+  if (high < 0 || elapsed < wordStartTimes[0]) return 0
+
+  while (low < high) {
+    const mid = (low + high + 1) >> 1
+    if (wordStartTimes[mid] <= elapsed) low = mid
+    else high = mid - 1
+  }
+  return low
+}
+
+// Scroll offset that puts the reading position on the reading line (a
+// fraction of the viewport height from the top), moving smoothly from each
+// word's line towards the next word's over the word's duration
+export function getScrollOffset(layout, wordStartTimes, wordTimings, elapsed, readingLine = 0.5) {
+  if (!layout || layout.centers.length === 0) return 0
+
+  const currentIdx = findWordAtTime(wordStartTimes, elapsed)
+  const nextIdx = Math.min(currentIdx + 1, layout.centers.length - 1)
+
+  // Progress through current word (0 to 1)
+  const wordDuration = wordTimings[currentIdx]
+  const wordProgress = wordDuration > 0
+    ? Math.min((elapsed - wordStartTimes[currentIdx]) / wordDuration, 1)
+    : 0
+
+  const currentY = layout.centers[currentIdx]
+  const nextY = layout.centers[nextIdx]
+  const interpolatedY = currentY + (nextY - currentY) * wordProgress
+
+  return Math.max(0, interpolatedY - layout.viewportHeight * readingLine)
+}
+
+// First word of the line nearest to a point in the scrolled content, e.g.
+// the reading line of a view scrolled by hand
+export function findWordAtOffset(layout, y) {
+  const { centers, rows, wordRows } = layout
+  if (centers.length === 0) return 0
+
+  // First word centered at or below y
+  let low = 0
+  let high = centers.length - 1
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (centers[mid] < y) low = mid + 1
+    else high = mid
+  }
+  if (low > 0 && y - centers[low - 1] < centers[low] - y) low--
+  return rows[wordRows[low]].start
+}
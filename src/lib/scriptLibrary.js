@@ -0,0 +1,108 @@
+// Script library stored in IndexedDB, so several scripts can be kept side by side
+// and large scripts don't run into localStorage quotas
+
+import { withStore, createId, SCRIPTS_STORE } from './db'
+
+// localStorage keys used before the library existed
+const LEGACY_KEYS = {
+  script: 'teleprompter-script',
+  targetMinutes: 'teleprompter-minutes',
+  targetSeconds: 'teleprompter-seconds',
+  speakerSpeeds: 'teleprompter-speeds',
+  speakerColors: 'teleprompter-colors'
+}
+const MIGRATED_FLAG = 'teleprompter-library-migrated'
+
+// The per-script fields kept in each library entry
+export const DEFAULT_SCRIPT_FIELDS = {
+  script: '',
+  targetMinutes: 1,
+  targetSeconds: 0,
+  speakerSpeeds: {},
+  speakerColors: {},
+  // Timing-model language, 'auto' to follow the browser
+  language: 'auto',
+  // Text direction, 'auto' to pick it per section (see textDirection.js)
+  direction: 'auto'
+}
+
+// Build a new library entry from script fields
+export function createScriptEntry(name, fields = {}) {
+  const now = Date.now()
+  return {
+    ...DEFAULT_SCRIPT_FIELDS,
+    ...fields,
+    id: createId(),
+    name,
+    createdAt: now,
+    updatedAt: now
+  }
+}
+
+// All entries, most recently edited first
+export async function listScripts() {
+  const entries = await withStore(SCRIPTS_STORE, 'readonly', store => store.getAll())
+  return entries.sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+export function getScript(id) {
+  return withStore(SCRIPTS_STORE, 'readonly', store => store.get(id))
+}
+
+export async function saveScript(entry) {
+  await withStore(SCRIPTS_STORE, 'readwrite', store => store.put(entry))
+  return entry
+}
+
+export function deleteScript(id) {
+  return withStore(SCRIPTS_STORE, 'readwrite', store => store.delete(id))
+}
+
+// Move the single-slot localStorage script into the library, once
+async function migrateLegacyStorage() {
+  if (localStorage.getItem(MIGRATED_FLAG)) return
+
+  const fields = {}
+  Object.entries(LEGACY_KEYS).forEach(([field, key]) => {
+    try {
+      const saved = localStorage.getItem(key)
+      if (saved !== null) fields[field] = JSON.parse(saved)
+    } catch {
+      // Skip values we can't parse
+    }
+  })
+
+  if (fields.script) {
+    await saveScript(createScriptEntry('My script', fields))
+  }
+
+  Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key))
+  localStorage.setItem(MIGRATED_FLAG, 'true')
+}
+
+let libraryPromise = null
+
+// Open the library, migrating legacy storage and making sure there is at least
+// one script. Shared between callers so it only ever runs once per page; if it
+// fails, the next call tries again.
+export function loadLibrary() {
+  if (!libraryPromise) {
+    libraryPromise = (async () => {
+      await migrateLegacyStorage()
+      const entries = await listScripts()
+      if (entries.length > 0) return entries
+      return [await saveScript(createScriptEntry('Untitled script'))]
+    })()
+    libraryPromise.catch(() => {
+      libraryPromise = null
+    })
+  }
+  return libraryPromise
+}
+
+// Case-insensitive match on the name or the script text
+export function matchesSearch(entry, query) {
+  const needle = query.trim().toLowerCase()
+  if (!needle) return true
+  return entry.name.toLowerCase().includes(needle) || entry.script.toLowerCase().includes(needle)
+}
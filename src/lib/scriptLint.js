@@ -0,0 +1,147 @@
+// Script checks for the editor. The parser accepts anything it can make sense
+// of, so typos quietly turn into new speakers or words read aloud; these checks
+// point them out. Each problem has the line (from 1) it's on and a severity:
+// 'error' for text that won't work as intended, 'warning' for likely mistakes.
+
+import { splitDirectives } from './directives'
+import { findUnpairedMarkers } from './inlineFormatting'
+import { HEADING_PATTERN } from './scriptParser'
+import { MAX_REALISTIC_WPM } from './sectionBudgets'
+import { normalizeWord, wordSimilarity } from './voiceTracking'
+
+// Speaker names at least this similar to another one look like typos
+const SPEAKER_SIMILARITY = 0.8
+
+const SPEAKER_TAG = /\[([^\]]+)\]:/g
+const BRACKETED = /\[([^\][]*)\]/g
+const NOTE = /\(\(.+?\)\)/g
+
+export const DEFAULT_MAX_WPM = MAX_REALISTIC_WPM
+
+const isSimilarName = (a, b) => wordSimilarity(normalizeWord(a), normalizeWord(b)) >= SPEAKER_SIMILARITY
+
+// Whether section text has anything that's read, besides directives and notes
+const hasWords = (text) => splitDirectives(text.replace(NOTE, ' ')).some(part => part.text?.trim())
+
+// Speaker names that look like typos of another, mapped to that name. The
+// less used of two similar names is the typo (the later one if used as often).
+function findSpeakerTypos(tags) {
+  const counts = new Map()
+  tags.forEach(tag => counts.set(tag.name, (counts.get(tag.name) || 0) + 1))
+  const names = [...counts.keys()]
+
+  const typos = new Map()
+  names.forEach((name, i) => {
+    const original = names.find((other, j) => {
+      if (other === name || !isSimilarName(name, other)) return false
+      return counts.get(other) > counts.get(name) || (counts.get(other) === counts.get(name) && j < i)
+    })
+    if (original) typos.set(name, original)
+  })
+  return typos
+}
+
+// Unmatched [ and ] on a line
+function findStrayBrackets(text) {
+  const stray = []
+  let open = 0
+  for (const char of text) {
+    if (char === '[') {
+      open++
+    } else if (char === ']') {
+      if (open > 0) open--
+      else stray.push(']')
+    }
+  }
+  return [...stray, ...Array(open).fill('[')]
+}
+
+// Check a script. `sectionBoundaries` and `sectionStats` come from the parser
+// and the schedule (see sectionBudgets.js) and are used for the pace check.
+export function lintScript(script, { sectionBoundaries = [], sectionStats = [], maxWpm = DEFAULT_MAX_WPM } = {}) {
+  const lines = script.split('\n')
+  const problems = []
+  const add = (line, severity, message) => problems.push({ line, severity, message })
+
+  const tags = []
+  lines.forEach((text, i) => {
+    for (const match of text.matchAll(SPEAKER_TAG)) tags.push({ name: match[1], line: i + 1 })
+  })
+  const typos = findSpeakerTypos(tags)
+  const names = [...new Set(tags.map(tag => tag.name))].filter(name => !typos.has(name))
+
+  tags.forEach(tag => {
+    if (typos.has(tag.name)) {
+      add(tag.line, 'warning', `Speaker "${tag.name}" looks like a typo of "${typos.get(tag.name)}"`)
+    }
+  })
+
+  // Brackets that are neither a directive nor a speaker tag are read aloud
+  lines.forEach((text, i) => {
+    for (const match of text.matchAll(BRACKETED)) {
+      if (text[match.index + match[0].length] === ':') continue
+      const parts = splitDirectives(match[0])
+      if (parts.length === 1 && parts[0].directive) continue
+
+      const inner = match[1].trim()
+      if (names.some(name => name === inner || isSimilarName(inner, name))) {
+        add(i + 1, 'error', `"${match[0]}" is missing the colon of a speaker tag, so it will be read aloud`)
+      } else {
+        add(i + 1, 'warning', `"${match[0]}" isn't a directive or speaker tag, so it will be read aloud`)
+      }
+    }
+    findStrayBrackets(text).forEach(bracket => {
+      add(i + 1, 'error', `Unmatched "${bracket}"`)
+    })
+  })
+
+  // Sections as written, split at speaker tags and headings, for empty
+  // sections and formatting markers that don't pair up
+  const sections = []
+  let current = null
+  lines.forEach((text, i) => {
+    const heading = HEADING_PATTERN.exec(text)
+    const hasTag = !heading && text.match(SPEAKER_TAG)
+    if (heading || hasTag || !current) {
+      current = {
+        line: i + 1,
+        label: heading ? `Heading "${heading[1].trim()}"` : hasTag ? `"${hasTag[hasTag.length - 1]}"` : null,
+        isHeading: Boolean(heading),
+        lines: []
+      }
+      sections.push(current)
+    }
+    current.lines.push({
+      line: i + 1,
+      text: heading ? heading[1].match(/\[[^\]]*\]/g)?.join(' ') || '' : text.replace(SPEAKER_TAG, '')
+    })
+  })
+
+  sections.forEach((section, s) => {
+    const content = section.lines.map(line => line.text).join('\n')
+    // A speaker tag followed straight away by a heading passes its speaker on
+    const passesOn = !section.isHeading && sections[s + 1]?.isHeading
+    if (section.label && !passesOn && !hasWords(content)) {
+      add(section.line, 'warning', `${section.label} has no lines`)
+    }
+
+    findUnpairedMarkers(content).forEach(({ marker, index }) => {
+      let offset = 0
+      const line = section.lines.find(({ text }) => {
+        offset += text.length + 1
+        return index < offset
+      })
+      add(line.line, 'error', `Unmatched "${marker}", so it will be shown as written`)
+    })
+  })
+
+  // Sections that need a faster pace than the limit at the target time
+  sectionBoundaries.forEach((section, i) => {
+    const wpm = sectionStats[i]?.wpm
+    if (!Number.isFinite(wpm) || wpm <= maxWpm) return
+    const name = section.title ? `"${section.title}"` : section.speaker ? `${section.speaker}'s section` : 'This section'
+    add(section.line, 'warning', `${name} needs ${wpm} WPM, faster than the ${maxWpm} WPM limit`)
+  })
+
+  return problems.sort((a, b) => a.line - b.line || (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1))
+}
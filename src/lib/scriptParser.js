@@ -0,0 +1,276 @@
+// Script parsing: speaker markers and headings split the script into sections,
+// and each section's text becomes words with their formatting, pacing
+// directives and line breaks.
+
+import { splitDirectives, applyTempoDirective, getTempo } from './directives'
+import { parseInline } from './inlineFormatting'
+
+// A '# Heading' line (up to six #s, optionally closed with #s too)
+export const HEADING_PATTERN = /^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/
+
+// Scripts written without spaces between words
+const UNSPACED = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u
+
+const countLineBreaks = (text) => text.split('\n').length - 1
+
+let wordSegmenter = null
+
+// Split a run of text without spaces into words, using the browser's word
+// segmentation for Chinese, Japanese, Thai and similar scripts. Punctuation
+// stays with the word before it, opening brackets and quotes with the one after.
+function splitUnspacedWords(text) {
+  if (!UNSPACED.test(text) || typeof Intl.Segmenter !== 'function') return [text]
+  wordSegmenter = wordSegmenter || new Intl.Segmenter(undefined, { granularity: 'word' })
+
+  const parts = []
+  let leading = ''
+  for (const { segment, isWordLike } of wordSegmenter.segment(text)) {
+    if (isWordLike || (parts.length === 0 && !leading)) {
+      parts.push(leading + segment)
+      leading = ''
+    } else if (/^[\p{Ps}\p{Pi}]+$/u.test(segment)) {
+      leading += segment
+    } else {
+      parts[parts.length - 1] += segment
+    }
+  }
+  if (leading) parts[parts.length - 1] += leading
+  return parts
+}
+
+// Parse script into speaker sections. Each section has the line it starts on
+// (from 1), so problems can be traced back to the script text.
+function parseSections(script) {
+  const cleaned = script
+
+  // Find all speaker markers and their positions
+  const speakerRegex = /\[([^\]]+)\]:/g
+  const markers = []
+  let match
+
+  while ((match = speakerRegex.exec(cleaned)) !== null) {
+    markers.push({
+      speaker: match[1],
+      start: match.index,
+      end: match.index + match[0].length
+    })
+  }
+
+  const sections = []
+
+  // If no markers, treat whole script as one section
+  if (markers.length === 0) {
+    sections.push(...splitHeadings(null, cleaned, 1))
+    return sections
+  }
+
+  // Content before first speaker
+  if (markers[0].start > 0) {
+    sections.push(...splitHeadings(null, cleaned.slice(0, markers[0].start), 1))
+  }
+
+  // Process each speaker section, counting lines as we go
+  let line = 1
+  let lineCountedTo = 0
+  markers.forEach((marker, i) => {
+    for (let c = lineCountedTo; c < marker.start; c++) {
+      if (cleaned[c] === '\n') line++
+    }
+    lineCountedTo = marker.start
+
+    const contentStart = marker.end
+    const contentEnd = i < markers.length - 1 ? markers[i + 1].start : cleaned.length
+    sections.push(...splitHeadings(marker.speaker, cleaned.slice(contentStart, contentEnd), line))
+  })
+
+  return sections
+}
+
+// Split a speaker's content at '# Heading' lines, each of which starts a new
+// section for the same speaker. Directives written on the heading line (such
+// as a [budget 15s]) move into the section's content. `firstLine` is the
+// script line the content starts on.
+function splitHeadings(speaker, content, firstLine) {
+  const sections = []
+  let current = { speaker, title: null, line: firstLine, lines: [] }
+
+  content.split('\n').forEach((line, i) => {
+    const heading = HEADING_PATTERN.exec(line)
+    if (!heading) {
+      current.lines.push(line)
+      return
+    }
+    sections.push(current)
+    const directives = heading[1].match(/\[[^\]]*\]/g) || []
+    current = {
+      speaker,
+      title: heading[1].replace(/\[[^\]]*\]/g, '').trim() || null,
+      line: firstLine + i,
+      lines: [directives.join(' ')]
+    }
+  })
+  sections.push(current)
+
+  return sections
+    .map(({ lines, ...section }) => {
+      const text = lines.join('\n')
+      const leading = text.slice(0, text.length - text.trimStart().length)
+      return { ...section, content: text.trim(), contentLine: section.line + countLineBreaks(leading) }
+    })
+    .filter(section => section.content)
+}
+
+// Parse section content into words with line break markers. Formatting spans
+// can cover several words, and a word can mix styles, so each word keeps its
+// styled segments. Pacing directives and ((notes)) attach to the word that
+// follows them; any left at the end of the section are returned as `pending`
+// so they can carry over to the next section. A [budget] applies to the whole
+// section and is returned as `budgetMs`, an [rtl] or [ltr] as `direction`.
+// Words in scripts without spaces are split apart and marked `joined`, meaning
+// no space follows them. Each word has the script line it's on, counted from
+// `firstLine`, the line the content starts on.
+function parseWords(content, carried = [], firstLine = 1) {
+  const words = []
+  let line = firstLine
+  let pending = carried
+  let tempoStack = []
+  let budgetMs = null
+  let direction = null
+  let current = null
+  let atLineStart = false
+  // Whether there's been whitespace since the last word
+  let spaced = true
+
+  const lastChar = (word) => word.segments[word.segments.length - 1].text.slice(-1)
+
+  const addWord = (text, styles) => {
+    // Unspaced words also end where the style changes
+    if (current && UNSPACED.test(lastChar(current)) && UNSPACED.test(text[0])) current = null
+
+    if (!current) {
+      const previous = words[words.length - 1]
+      if (previous && !spaced && (UNSPACED.test(lastChar(previous)) || UNSPACED.test(text[0]))) {
+        previous.joined = true
+      }
+      current = {
+        segments: [],
+        isLineStart: atLineStart,
+        line,
+        joined: false,
+        tempo: getTempo(tempoStack),
+        pauseMs: pending.reduce((sum, d) => sum + (d.type === 'pause' ? d.ms : 0), 0),
+        hold: pending.some(d => d.type === 'hold'),
+        directives: pending
+      }
+      words.push(current)
+      pending = []
+      atLineStart = false
+    }
+    current.segments.push({ text, ...styles })
+    spaced = false
+  }
+
+  const addText = (text, styles) => {
+    text.split(/(\s+)/).forEach(piece => {
+      if (!piece) return
+      if (/^\s+$/.test(piece)) {
+        line += countLineBreaks(piece)
+        if (piece.includes('\n') && words.length > 0) atLineStart = true
+        current = null
+        spaced = true
+        return
+      }
+
+      splitUnspacedWords(piece).forEach((part, p) => {
+        if (p > 0) {
+          current.joined = true
+          current = null
+        }
+        addWord(part, styles)
+      })
+    })
+  }
+
+  parseInline(content).forEach(token => {
+    if (token.type === 'note') {
+      line += countLineBreaks(token.raw)
+      pending = [...pending, { type: 'note', label: token.text }]
+      current = null
+      return
+    }
+
+    splitDirectives(token.text).forEach(part => {
+      if (!part.directive) {
+        addText(part.text, token.styles)
+        return
+      }
+      current = null
+      line += countLineBreaks(part.raw)
+      if (part.directive.type === 'budget') {
+        budgetMs = part.directive.ms
+        return
+      }
+      if (part.directive.type === 'direction') {
+        direction = part.directive.direction
+        return
+      }
+      pending = [...pending, part.directive]
+      tempoStack = applyTempoDirective(tempoStack, part.directive)
+    })
+  })
+
+  // Whole-word text and styles; struck-through words are skipped when reading
+  words.forEach(word => {
+    word.text = word.segments.map(segment => segment.text).join('')
+    word.skip = word.segments.every(segment => segment.strike)
+  })
+
+  return { words, pending, budgetMs, direction }
+}
+
+// Parse a script into sections and the flat list of words, with each section's
+// range of word indexes in `sectionBoundaries`
+export function parseScript(script) {
+  const sections = parseSections(script)
+  const allWords = []
+  const sectionBoundaries = []
+  let carried = []
+
+  sections.forEach((section) => {
+    const startIndex = allWords.length
+    const { words, pending, budgetMs, direction } = parseWords(section.content, carried, section.contentLine)
+    carried = pending
+    // A section of nothing but directives passes them on to the next one
+    if (words.length === 0) return
+
+    words.forEach(word => {
+      allWords.push({ ...word, speaker: section.speaker })
+    })
+    sectionBoundaries.push({
+      startIndex,
+      endIndex: allWords.length - 1,
+      speaker: section.speaker,
+      title: section.title,
+      line: section.line,
+      budgetMs,
+      direction
+    })
+  })
+
+  return { sections, allWords, sectionBoundaries }
+}
+
+// Where a word ends up after the script is edited: words before and after the
+// edited stretch keep their place, and words inside it go to its start. Only
+// the words' text is compared, so this works on two parses of any scripts.
+export function mapWordIndex(oldWords, newWords, index) {
+  const max = Math.min(oldWords.length, newWords.length)
+  let prefix = 0
+  while (prefix < max && oldWords[prefix].text === newWords[prefix].text) prefix++
+  if (index < prefix) return index
+
+  let suffix = 0
+  while (suffix < max - prefix && oldWords[oldWords.length - 1 - suffix].text === newWords[newWords.length - 1 - suffix].text) suffix++
+  if (index >= oldWords.length - suffix) return index + newWords.length - oldWords.length
+  return Math.min(prefix, newWords.length - 1)
+}
@@ -0,0 +1,89 @@
+// Section time budgets: a section with a [budget 15s] gets exactly that long,
+// spread across its own words, and the sections without one share whatever is
+// left of the overall target time
+
+// Budgets implying a speaking pace outside this range are flagged as unrealistic
+export const MIN_REALISTIC_WPM = 90
+export const MAX_REALISTIC_WPM = 220
+
+const sum = (values) => values.reduce((total, value) => total + value, 0)
+
+function sectionIndexes(section) {
+  const indexes = []
+  for (let i = section.startIndex; i <= section.endIndex; i++) indexes.push(i)
+  return indexes
+}
+
+// Speaking time for each word from its relative weight. Fixed pauses inside a
+// section come out of that section's budget (or out of the shared time) first.
+export function allocateWordTimings(weights, allWords, sectionBoundaries, targetTimeMs) {
+  const timings = weights.map(() => 0)
+  const shared = []
+  let budgetedMs = 0
+
+  const spread = (indexes, availableMs) => {
+    const totalWeight = sum(indexes.map(i => weights[i]))
+    const pauseMs = sum(indexes.map(i => allWords[i].pauseMs))
+    const speakingMs = Math.max(0, availableMs - pauseMs)
+    indexes.forEach(i => {
+      timings[i] = totalWeight > 0 ? (weights[i] / totalWeight) * speakingMs : 0
+    })
+  }
+
+  sectionBoundaries.forEach(section => {
+    if (section.budgetMs === null) {
+      shared.push(...sectionIndexes(section))
+      return
+    }
+    budgetedMs += section.budgetMs
+    spread(sectionIndexes(section), section.budgetMs)
+  })
+  spread(shared, Math.max(0, targetTimeMs - budgetedMs))
+
+  return timings
+}
+
+// Length of the schedule for a script's words at a target time: the words'
+// timings plus the pauses before them. Word weights only share time out
+// within a section, so any will do; struck-through words take none.
+export function getScheduleLength(allWords, sectionBoundaries, targetTimeMs) {
+  const weights = allWords.map(word => word.skip ? 0 : 1)
+  const timings = allocateWordTimings(weights, allWords, sectionBoundaries, targetTimeMs)
+  return sum(timings) + sum(allWords.map(word => word.pauseMs))
+}
+
+// Per-section summary for the sidebar: duration, speaking pace and any warning
+export function getSectionStats(allWords, sectionBoundaries, wordStartTimes, wordTimings) {
+  return sectionBoundaries.map(section => {
+    const indexes = sectionIndexes(section)
+    const speakingMs = sum(indexes.map(i => wordTimings[i]))
+    const durationMs = wordStartTimes[section.endIndex] + wordTimings[section.endIndex] -
+      (wordStartTimes[section.startIndex] - allWords[section.startIndex].pauseMs)
+    // Pace counts the words that are read (struck-through words take no time)
+    const timedWords = indexes.filter(i => wordTimings[i] > 0).length
+    const wpm = speakingMs > 0 ? Math.round(timedWords / (speakingMs / 60000)) : Infinity
+
+    // Budgets get pace warnings; shared sections only warn when nothing is left
+    // for them. A section that's all struck through has nothing to read anyway.
+    let warning = null
+    if (indexes.every(i => allWords[i].skip)) {
+      warning = 'Every word is struck through, so nothing is read'
+    } else if (speakingMs <= 0) {
+      warning = section.budgetMs === null ? 'No time left from the target' : 'Budget is used up by pauses'
+    } else if (section.budgetMs !== null && wpm > MAX_REALISTIC_WPM) {
+      warning = 'Too fast to read comfortably'
+    } else if (section.budgetMs !== null && wpm < MIN_REALISTIC_WPM) {
+      warning = 'Unusually slow'
+    }
+
+    return {
+      speaker: section.speaker,
+      title: section.title,
+      budgetMs: section.budgetMs,
+      words: indexes.length,
+      durationMs,
+      wpm,
+      warning
+    }
+  })
+}
@@ -0,0 +1,180 @@
+// Take log: records each run of a script and compares the real time spent in
+// every section with the planned schedule
+
+import { withStore, createId, TAKES_STORE } from './db'
+
+// Sections running longer than this over plan count as overruns
+export const OVERRUN_TOLERANCE_MS = 500
+
+// Planned duration of each section from the word schedule. The section's
+// timing-model features are kept with the take so it can be used for calibration.
+export function getPlannedSections(sectionBoundaries, wordStartTimes, wordTimings, sectionFeatures = []) {
+  return sectionBoundaries.map((section, index) => ({
+    speaker: section.speaker,
+    title: section.title,
+    plannedMs: wordStartTimes[section.endIndex] + wordTimings[section.endIndex] - wordStartTimes[section.startIndex],
+    features: sectionFeatures[index] || null
+  }))
+}
+
+// Record one take. Times passed to update() are the real reading time so far,
+// excluding pauses, so a section's actual time is the reading time spent in it
+// (jumps back and forth add to whichever section is on screen).
+export function createTakeRecorder({ scriptId, scriptName, number, plannedMs, sections }) {
+  const startedAt = Date.now()
+  const actual = sections.map(() => 0)
+  const reachedAt = sections.map(() => null)
+  const readerPaced = sections.map(() => false)
+  const pauses = []
+  let currentSection = null
+  let markedAt = 0
+  let finishedAt = null
+
+  // Attribute reading time since the last mark to the current section
+  const settle = (activeMs) => {
+    if (currentSection !== null) actual[currentSection] += activeMs - markedAt
+    markedAt = activeMs
+  }
+
+  const pause = () => {
+    const last = pauses[pauses.length - 1]
+    if (last && last.durationMs === null) return
+    pauses.push({ at: Date.now() - startedAt, durationMs: null })
+  }
+
+  const resume = () => {
+    const last = pauses[pauses.length - 1]
+    if (last && last.durationMs === null) last.durationMs = Date.now() - startedAt - last.at
+  }
+
+  return {
+    pause,
+    resume,
+
+    // Called every frame with the section on screen
+    update(sectionIndex, activeMs, reachedEnd) {
+      if (finishedAt !== null) return
+
+      if (sectionIndex !== currentSection) {
+        settle(activeMs)
+        currentSection = sectionIndex
+        if (reachedAt[sectionIndex] === null) reachedAt[sectionIndex] = activeMs
+      }
+
+      // Time spent past the end of the schedule isn't part of any section
+      if (reachedEnd) {
+        settle(activeMs)
+        finishedAt = activeMs
+      }
+    },
+
+    // The reader set the pace of the section on screen: voice pacing followed
+    // them, or the operator changed the speed to keep up with them
+    markReaderPaced() {
+      if (finishedAt === null && currentSection !== null) readerPaced[currentSection] = true
+    },
+
+    // Close the take and return it for saving
+    finish(activeMs) {
+      resume()
+      if (finishedAt === null) settle(activeMs)
+
+      return {
+        id: createId(),
+        scriptId,
+        scriptName,
+        number,
+        startedAt,
+        endedAt: Date.now(),
+        completed: finishedAt !== null,
+        plannedMs,
+        actualMs: finishedAt ?? activeMs,
+        pauses,
+        sections: sections.map((section, index) => ({
+          index,
+          speaker: section.speaker,
+          title: section.title,
+          plannedMs: Math.round(section.plannedMs),
+          actualMs: Math.round(actual[index]),
+          reachedAtMs: reachedAt[index] === null ? null : Math.round(reachedAt[index]),
+          readerPaced: readerPaced[index],
+          features: section.features
+        }))
+      }
+    }
+  }
+}
+
+export function isOverrun(section) {
+  return section.reachedAtMs !== null && section.actualMs - section.plannedMs > OVERRUN_TOLERANCE_MS
+}
+
+// Takes for a script, newest first
+export async function listTakes(scriptId) {
+  const takes = await withStore(TAKES_STORE, 'readonly', store => store.index('scriptId').getAll(scriptId))
+  return takes.sort((a, b) => b.startedAt - a.startedAt)
+}
+
+// Every take of every script, for calibration
+export function listAllTakes() {
+  return withStore(TAKES_STORE, 'readonly', store => store.getAll())
+}
+
+export async function saveTake(take) {
+  await withStore(TAKES_STORE, 'readwrite', store => store.put(take))
+  return take
+}
+
+export async function deleteTakes(scriptId) {
+  const takes = await listTakes(scriptId)
+  for (const take of takes) {
+    await withStore(TAKES_STORE, 'readwrite', store => store.delete(take.id))
+  }
+}
+
+const CSV_COLUMNS = ['take', 'started', 'ended', 'completed', 'section', 'speaker', 'title', 'planned_s', 'actual_s', 'diff_s', 'reached_at_s', 'overrun', 'pauses']
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toSeconds = (ms) => ms === null ? '' : (ms / 1000).toFixed(2)
+
+// One row per section of every take, plus a total row per take
+export function takesToCsv(takes) {
+  const rows = [CSV_COLUMNS]
+
+  takes.forEach(take => {
+    const base = [take.number, new Date(take.startedAt).toISOString(), new Date(take.endedAt).toISOString(), take.completed]
+    take.sections.forEach(section => {
+      const reached = section.reachedAtMs !== null
+      rows.push([
+        ...base,
+        section.index + 1,
+        section.speaker || '',
+        section.title || '',
+        toSeconds(section.plannedMs),
+        reached ? toSeconds(section.actualMs) : '',
+        reached ? toSeconds(section.actualMs - section.plannedMs) : '',
+        toSeconds(section.reachedAtMs),
+        isOverrun(section),
+        ''
+      ])
+    })
+    rows.push([
+      ...base,
+      'total',
+      '',
+      '',
+      toSeconds(take.plannedMs),
+      toSeconds(take.actualMs),
+      toSeconds(take.actualMs - take.plannedMs),
+      '',
+      take.actualMs - take.plannedMs > OVERRUN_TOLERANCE_MS,
+      take.pauses.length
+    ])
+  })
+
+  return rows.map(row => row.map(csvValue).join(',')).join('\n') + '\n'
+}
@@ -0,0 +1,37 @@
+// Text direction for right-to-left scripts. Each script has a direction
+// ('auto' picks it per section from the text), and a section can set its own
+// with [rtl] or [ltr]. Mixed right-to-left and left-to-right text within a
+// line is ordered by the browser's bidi algorithm; words stay in the order
+// they're read, so highlighting and line breaks follow the reading order.
+
+export const TEXT_DIRECTIONS = [
+  { id: 'auto', label: 'Automatic' },
+  { id: 'ltr', label: 'Left to right' },
+  { id: 'rtl', label: 'Right to left' }
+]
+
+const RTL_LETTER = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Adlam}\p{Script=Samaritan}\p{Script=Mandaic}]/u
+const LETTER = /\p{L}/u
+
+// Direction of a piece of text from its first letter, as dir="auto" does
+export function detectDirection(text) {
+  for (const char of text) {
+    if (RTL_LETTER.test(char)) return 'rtl'
+    if (LETTER.test(char)) return 'ltr'
+  }
+  return null
+}
+
+// 'ltr' or 'rtl' for each section
+export function getSectionDirections(allWords, sectionBoundaries, scriptDirection = 'auto') {
+  return sectionBoundaries.map(section => {
+    if (section.direction) return section.direction
+    if (scriptDirection !== 'auto') return scriptDirection
+
+    for (let i = section.startIndex; i <= section.endIndex; i++) {
+      const direction = detectDirection(allWords[i].text)
+      if (direction) return direction
+    }
+    return 'ltr'
+  })
+}
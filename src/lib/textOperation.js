@@ -0,0 +1,225 @@
+// Text edits as operations, for collaborative editing. Plain JS with no
+// browser or Node globals so the app and the sync server can both import it.
+//
+// An operation walks the whole text from the start and is a list of
+// components: a positive number keeps that many characters, a negative number
+// deletes that many, and a string inserts it: replacing "world" with "there"
+// in "hello world" is [6, 'there', -5]. Inserts are kept before deletes at
+// the same place.
+
+const isRetain = (component) => typeof component === 'number' && component > 0
+const isDelete = (component) => typeof component === 'number' && component < 0
+const isInsert = (component) => typeof component === 'string'
+
+const componentSize = (component) => isInsert(component) ? component.length : Math.abs(component)
+
+// What's left of a component after its first n characters
+const componentRest = (component, n) => {
+  if (isInsert(component)) return component.slice(n)
+  return component > 0 ? component - n : component + n
+}
+
+const retain = (operation, n) => {
+  if (n <= 0) return
+  const last = operation.length - 1
+  if (isRetain(operation[last])) operation[last] += n
+  else operation.push(n)
+}
+
+const insert = (operation, text) => {
+  if (!text) return
+  const last = operation.length - 1
+  if (isInsert(operation[last])) {
+    operation[last] += text
+  } else if (isDelete(operation[last])) {
+    if (isInsert(operation[last - 1])) operation[last - 1] += text
+    else operation.splice(last, 0, text)
+  } else {
+    operation.push(text)
+  }
+}
+
+const remove = (operation, n) => {
+  if (n <= 0) return
+  const last = operation.length - 1
+  if (isDelete(operation[last])) operation[last] -= n
+  else operation.push(-n)
+}
+
+// Whether a value is a well-formed operation
+export function isOperation(value) {
+  return Array.isArray(value) && value.every(component =>
+    (isInsert(component) && component.length > 0) || (Number.isInteger(component) && component !== 0)
+  )
+}
+
+// Whether an operation leaves the text as it was
+export const isNoop = (operation) => operation.every(isRetain)
+
+// Length of the text an operation applies to and of the text it produces
+export function getOperationLengths(operation) {
+  let baseLength = 0
+  let targetLength = 0
+  operation.forEach(component => {
+    if (isInsert(component)) {
+      targetLength += component.length
+    } else if (component > 0) {
+      baseLength += component
+      targetLength += component
+    } else {
+      baseLength -= component
+    }
+  })
+  return { baseLength, targetLength }
+}
+
+export function applyOperation(text, operation) {
+  const { baseLength } = getOperationLengths(operation)
+  if (baseLength !== text.length) {
+    throw new Error(`The edit is for a text of ${baseLength} characters, not ${text.length}`)
+  }
+
+  let result = ''
+  let index = 0
+  operation.forEach(component => {
+    if (isInsert(component)) {
+      result += component
+    } else if (component > 0) {
+      result += text.slice(index, index + component)
+      index += component
+    } else {
+      index -= component
+    }
+  })
+  return result
+}
+
+const isHighSurrogate = (code) => code >= 0xd800 && code <= 0xdbff
+
+// The edit that turns one text into another, as a single replaced stretch
+// between the unchanged start and end. Characters outside the basic plane
+// are never split.
+export function diffOperation(oldText, newText) {
+  const max = Math.min(oldText.length, newText.length)
+  let prefix = 0
+  while (prefix < max && oldText[prefix] === newText[prefix]) prefix++
+  if (prefix > 0 && isHighSurrogate(oldText.charCodeAt(prefix - 1))) prefix--
+
+  let suffix = 0
+  while (suffix < max - prefix && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) suffix++
+  if (suffix > 0 && suffix < oldText.length && isHighSurrogate(oldText.charCodeAt(oldText.length - 1 - suffix))) suffix--
+
+  const operation = []
+  retain(operation, prefix)
+  insert(operation, newText.slice(prefix, newText.length - suffix))
+  remove(operation, oldText.length - suffix - prefix)
+  retain(operation, suffix)
+  return operation
+}
+
+// One operation with the effect of `a` followed by `b`
+export function composeOperations(a, b) {
+  if (getOperationLengths(a).targetLength !== getOperationLengths(b).baseLength) {
+    throw new Error('The second edit doesn\'t follow the first')
+  }
+
+  const result = []
+  let i = 0
+  let j = 0
+  let componentA = a[i++]
+  let componentB = b[j++]
+
+  while (componentA !== undefined || componentB !== undefined) {
+    if (isDelete(componentA)) {
+      remove(result, -componentA)
+      componentA = a[i++]
+      continue
+    }
+    if (isInsert(componentB)) {
+      insert(result, componentB)
+      componentB = b[j++]
+      continue
+    }
+
+    const n = Math.min(componentSize(componentA), componentSize(componentB))
+    if (isRetain(componentA) && isRetain(componentB)) {
+      retain(result, n)
+    } else if (isInsert(componentA) && isRetain(componentB)) {
+      insert(result, componentA.slice(0, n))
+    } else if (isRetain(componentA) && isDelete(componentB)) {
+      remove(result, n)
+    }
+    // Text inserted by `a` and deleted by `b` leaves nothing behind
+
+    componentA = componentSize(componentA) > n ? componentRest(componentA, n) : a[i++]
+    componentB = componentSize(componentB) > n ? componentRest(componentB, n) : b[j++]
+  }
+  return result
+}
+
+// Two concurrent operations on the same text, each rewritten to apply after
+// the other: applying a then b', or b then a', gives the same text. Where both
+// insert at the same place, a's text goes first.
+export function transformOperations(a, b) {
+  if (getOperationLengths(a).baseLength !== getOperationLengths(b).baseLength) {
+    throw new Error('The edits are for different texts')
+  }
+
+  const aPrime = []
+  const bPrime = []
+  let i = 0
+  let j = 0
+  let componentA = a[i++]
+  let componentB = b[j++]
+
+  while (componentA !== undefined || componentB !== undefined) {
+    if (isInsert(componentA)) {
+      insert(aPrime, componentA)
+      retain(bPrime, componentA.length)
+      componentA = a[i++]
+      continue
+    }
+    if (isInsert(componentB)) {
+      retain(aPrime, componentB.length)
+      insert(bPrime, componentB)
+      componentB = b[j++]
+      continue
+    }
+
+    const n = Math.min(componentSize(componentA), componentSize(componentB))
+    if (isRetain(componentA) && isRetain(componentB)) {
+      retain(aPrime, n)
+      retain(bPrime, n)
+    } else if (isDelete(componentA) && isRetain(componentB)) {
+      remove(aPrime, n)
+    } else if (isRetain(componentA) && isDelete(componentB)) {
+      remove(bPrime, n)
+    }
+    // Text deleted by both is already gone either way
+
+    componentA = componentSize(componentA) > n ? componentRest(componentA, n) : a[i++]
+    componentB = componentSize(componentB) > n ? componentRest(componentB, n) : b[j++]
+  }
+  return [aPrime, bPrime]
+}
+
+// Where a position in the text (a caret) ends up after an operation. Text
+// inserted right at the position goes after it.
+export function transformIndex(index, operation) {
+  let result = index
+  let position = 0
+  for (const component of operation) {
+    if (isInsert(component)) {
+      if (position < index) result += component.length
+      continue
+    }
+    if (position >= index) break
+    if (component > 0) {
+      position += component
+    } else {
+      result -= Math.min(-component, index - position)
+      position -= component
+    }
+  }
+  return result
+}
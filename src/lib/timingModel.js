@@ -0,0 +1,62 @@
+// Word timing model. Each word is described by a few features (spoken
+// syllables, length, trailing punctuation, line break) and its weight is the
+// features multiplied by per-reader coefficients. Coefficients are in
+// milliseconds, so calibrated readers can be mixed with the defaults.
+
+import { LANGUAGE_MODELS } from './languages'
+
+export const TIMING_LANGUAGES = [
+  { id: 'auto', label: 'Auto-detect' },
+  ...Object.entries(LANGUAGE_MODELS).map(([id, model]) => ({ id, label: model.label }))
+]
+
+export const FEATURES = ['syllables', 'length', 'sentenceEnd', 'clause', 'lineBreak']
+
+// Roughly 150 WPM for English prose; only the ratios matter until calibrated
+export const DEFAULT_COEFFICIENTS = {
+  syllables: 168,
+  length: 72,
+  sentenceEnd: 360,
+  clause: 192,
+  lineBreak: 240
+}
+
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u
+const CYRILLIC_PATTERN = /\p{Script=Cyrillic}/u
+
+// The script's language setting, with 'auto' resolved from the browser locale
+export function resolveLanguage(language, locale = 'en') {
+  if (language !== 'auto' && LANGUAGE_MODELS[language]) return language
+  const code = locale.toLowerCase().split('-')[0]
+  if (['zh', 'ja', 'ko'].includes(code)) return 'cjk'
+  if (['ru', 'uk', 'be', 'bg', 'sr'].includes(code)) return 'ru'
+  return LANGUAGE_MODELS[code] ? code : 'en'
+}
+
+// Words in another writing system than the script's language use their own model
+function getLanguageModel(word, language) {
+  if (CJK_PATTERN.test(word)) return LANGUAGE_MODELS.cjk
+  if (CYRILLIC_PATTERN.test(word)) return LANGUAGE_MODELS.ru
+  return LANGUAGE_MODELS[language] || LANGUAGE_MODELS.en
+}
+
+export function getWordFeatures(word, language, isBeforeLineBreak = false) {
+  const model = getLanguageModel(word, language)
+  const spoken = model.speak?.(word) || [word]
+  const letters = spoken.join('').replace(/[^\p{L}\p{N}]/gu, '').length
+
+  return {
+    syllables: spoken.reduce((sum, token) => sum + model.countSyllables(token), 0),
+    length: Math.max(1, letters / 4),
+    // Sentence-ending punctuation: longer pause. The period of 'Dr.' or 'e.g.'
+    // doesn't end a sentence.
+    sentenceEnd: /[.!?。！？]["'”’)\]]*$/.test(word) && !model.isAbbreviation?.(word) ? 1 : 0,
+    // Clause punctuation (comma, semicolon, colon, em-dash): medium pause
+    clause: /[,;:—–、，；：]$/.test(word) ? 1 : 0,
+    lineBreak: isBeforeLineBreak ? 1 : 0
+  }
+}
+
+export function getWordWeight(features, coefficients = DEFAULT_COEFFICIENTS) {
+  return FEATURES.reduce((sum, feature) => sum + features[feature] * coefficients[feature], 0)
+}
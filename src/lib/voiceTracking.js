@@ -0,0 +1,220 @@
+// Voice tracking: follow the speaker by aligning recognized speech with the script
+
+// Normalize a word for comparison (lowercase, letters and digits only)
+export function normalizeWord(word) {
+  return word.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\p{L}\p{N}]/gu, '')
+}
+
+// Split a transcript fragment into normalized tokens
+export function tokenizeTranscript(transcript) {
+  return transcript.split(/\s+/).map(normalizeWord).filter(w => w.length > 0)
+}
+
+// Levenshtein distance between two short strings
+function editDistance(a, b) {
+  if (a === b) return 0
+  if (!a.length) return b.length
+  if (!b.length) return a.length
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      curr.push(Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost))
+    }
+    prev = curr
+  }
+  return prev[b.length]
+}
+
+// Similarity between two normalized words (0 = different, 1 = identical)
+export function wordSimilarity(a, b) {
+  if (!a || !b) return 0
+  if (a === b) return 1
+  const longest = Math.max(a.length, b.length)
+  return Math.max(0, 1 - editDistance(a, b) / longest)
+}
+
+const MATCH_THRESHOLD = 0.6
+const GAP_PENALTY = 0.6
+
+// Score for aligning a spoken token against a script word
+function matchScore(spoken, written) {
+  const similarity = wordSimilarity(spoken, written)
+  return similarity >= MATCH_THRESHOLD ? similarity : -1
+}
+
+// Create a tracker that aligns transcript fragments with the script words.
+// Only the tail of each transcript is aligned (local alignment), within a
+// window around the last matched word, so skipped words, repeated phrases and
+// misheard words don't derail the position.
+export function createWordTracker(allWords, {
+  tailTokens = 6,
+  lookBehind = 4,
+  lookAhead = 24,
+  minConfidence = 0.5
+} = {}) {
+  const scriptTokens = allWords.map(w => normalizeWord(w.text))
+  let position = -1
+
+  const align = (tokens) => {
+    const tail = tokens.slice(-tailTokens)
+    if (tail.length === 0 || scriptTokens.length === 0) return null
+
+    const windowStart = Math.max(0, position - lookBehind)
+    const windowEnd = Math.min(scriptTokens.length - 1, position + lookAhead)
+    const windowWords = scriptTokens.slice(windowStart, windowEnd + 1)
+
+    // Smith-Waterman local alignment: rows are spoken tokens, columns script words
+    let prev = new Array(windowWords.length + 1).fill(0)
+    let best = { score: 0, index: -1 }
+
+    for (let i = 1; i <= tail.length; i++) {
+      const curr = [0]
+      for (let j = 1; j <= windowWords.length; j++) {
+        const diagonal = prev[j - 1] + matchScore(tail[i - 1], windowWords[j - 1])
+        const skipScript = curr[j - 1] - GAP_PENALTY
+        const skipSpoken = prev[j] - GAP_PENALTY
+        curr.push(Math.max(0, diagonal, skipScript, skipSpoken))
+      }
+
+      // Only alignments that end on the most recent spoken token count
+      if (i === tail.length) {
+        for (let j = 1; j <= windowWords.length; j++) {
+          const index = windowStart + j - 1
+          // Slight preference for staying close to the current position
+          const distancePenalty = Math.abs(index - position) * 0.01
+          const score = curr[j] - distancePenalty
+          if (score > best.score) {
+            best = { score, index }
+          }
+        }
+      }
+      prev = curr
+    }
+
+    if (best.index < 0) return null
+    return {
+      index: best.index,
+      confidence: Math.min(1, best.score / tail.length)
+    }
+  }
+
+  return {
+    // Feed a transcript fragment; returns the match or null when not confident
+    update(transcript) {
+      const match = align(tokenizeTranscript(transcript))
+      if (!match || match.confidence < minConfidence) return null
+      position = match.index
+      return match
+    },
+    // Move the search window, e.g. after a restart or a fallback to timed pacing
+    reset(index = -1) {
+      position = index
+    },
+    getPosition() {
+      return position
+    }
+  }
+}
+
+// Web Speech API errors as shown to the operator
+const RECOGNITION_ERRORS = {
+  'not-allowed': 'Microphone access was denied',
+  'service-not-allowed': 'Speech recognition is blocked in this browser',
+  'audio-capture': 'No microphone was found',
+  network: 'Speech recognition needs a network connection',
+  'no-speech': 'No speech heard'
+}
+// Errors that won't go away by listening again
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture']
+
+// Recognizer built on the browser Web Speech API
+function createWebSpeechRecognizer({ lang, onTranscript, onError }) {
+  const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition
+  if (!SpeechRecognition) {
+    throw new Error('Speech recognition is not supported in this browser')
+  }
+
+  const recognition = new SpeechRecognition()
+  recognition.continuous = true
+  recognition.interimResults = true
+  recognition.lang = lang
+  let active = false
+
+  recognition.onresult = (event) => {
+    const result = event.results[event.results.length - 1]
+    onTranscript({
+      transcript: result[0].transcript,
+      confidence: result[0].confidence,
+      isFinal: result.isFinal
+    })
+  }
+  // 'aborted' is the recognizer being stopped
+  recognition.onerror = (event) => {
+    if (event.error === 'aborted') return
+    if (FATAL_ERRORS.includes(event.error)) active = false
+    onError?.(new Error(RECOGNITION_ERRORS[event.error] || `Speech recognition error: ${event.error}`))
+  }
+  // The browser ends sessions on silence; keep listening until stopped
+  recognition.onend = () => {
+    if (active) recognition.start()
+  }
+
+  return {
+    start() {
+      active = true
+      recognition.start()
+    },
+    stop() {
+      active = false
+      recognition.stop()
+    }
+  }
+}
+
+// Recognizer that "reads" the script aloud at a fixed pace, for testing without a microphone
+function createMockRecognizer({ allWords = [], startIndex = 0, wpm = 150, onTranscript }) {
+  let timer = null
+  let index = startIndex
+
+  return {
+    start() {
+      const interval = 60000 / wpm
+      timer = setInterval(() => {
+        if (index >= allWords.length) return
+        index++
+        const heard = allWords.slice(Math.max(0, index - 8), index).map(w => w.text)
+        onTranscript({ transcript: heard.join(' '), confidence: 1, isFinal: false })
+      }, interval)
+    },
+    stop() {
+      clearInterval(timer)
+      timer = null
+    }
+  }
+}
+
+// Available transcript sources. Each `create` factory takes
+// { lang, allWords, startIndex, onTranscript, onError } and returns { start, stop }.
+export const recognizerSources = {
+  webspeech: {
+    label: 'Browser speech recognition',
+    isSupported: () => Boolean(window.SpeechRecognition || window.webkitSpeechRecognition),
+    create: createWebSpeechRecognizer
+  },
+  mock: {
+    label: 'Mock reader (no microphone)',
+    isSupported: () => true,
+    create: createMockRecognizer
+  }
+}
+
+export function createRecognizer(source, options) {
+  const entry = recognizerSources[source]
+  if (!entry) {
+    throw new Error(`Unknown recognizer source: ${source}`)
+  }
+  return entry.create(options)
+}
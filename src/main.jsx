@@ -1,10 +1,20 @@
-import { StrictMode } from 'react'
+import { StrictMode, Suspense, lazy } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { getWindowRole } from './lib/presenterSync'
+
+// Only loaded for /?view=benchmark, so it stays out of the app's bundle
+const Benchmark = lazy(() => import('./components/Benchmark'))
+
+const role = getWindowRole()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {role === 'benchmark' ? (
+      <Suspense fallback={null}>
+        <Benchmark />
+      </Suspense>
+    ) : <App role={role} />}
   </StrictMode>,
 )